@@ -0,0 +1,24 @@
+import { getDictionaryRepository, parseAuditQuery } from "../lib/dictionary/index.js";
+import { requireRole } from "../lib/auth.js";
+
+// GET /api/audit?entity=&entityId=&actor=&action=&limit=&offset= - histórico de escritas no dicionário
+// (entity=dictionary, padrão) ou no tesauro (entity=thesaurus), mais recentes primeiro: { items, total, limit, offset, next_offset }. Requer papel viewer.
+
+export default async function handler(req, res) {
+  if (req.method !== "GET") {
+    return res.status(405).json({ error: "Método não permitido" });
+  }
+  if (!requireRole(req, res, "viewer")) return;
+
+  try {
+    const query = parseAuditQuery(req.query || {});
+    if (!query.ok) return res.status(400).json({ error: query.error });
+    const { limit, offset } = query.value;
+    const { items, total } = await getDictionaryRepository().listAudit(query.value);
+    const next = offset + items.length;
+    return res.status(200).json({ items, total, limit, offset, next_offset: next < total ? next : null });
+  } catch (e) {
+    console.error("Erro em /api/audit:", e);
+    return res.status(500).json({ error: String(e?.message || e) });
+  }
+}
@@ -0,0 +1,36 @@
+import { authenticate, createSessionToken, getSessionUser, setSessionCookie, clearSessionCookie } from "../lib/auth.js";
+
+// Sessão do admin do dicionário (usuários em ADMIN_USERS ou data/admin_users.json, ver lib/auth.js)
+// GET    /api/auth - usuário da sessão ({ user } ou 401)
+// POST   /api/auth - login { email, password }: grava o cookie e devolve { user, token }
+// DELETE /api/auth - logout (apaga o cookie)
+
+export default async function handler(req, res) {
+  try {
+    if (req.method === "GET") {
+      const user = getSessionUser(req);
+      if (!user) return res.status(401).json({ error: "Sem sessão" });
+      return res.status(200).json({ user });
+    }
+
+    if (req.method === "POST") {
+      const { email, password } = req.body || {};
+      if (!email || !password) return res.status(400).json({ error: "Informe email e senha" });
+      const user = await authenticate(email, password);
+      if (!user) return res.status(401).json({ error: "Email ou senha inválidos" });
+      const token = createSessionToken(user);
+      setSessionCookie(req, res, token);
+      return res.status(200).json({ user, token });
+    }
+
+    if (req.method === "DELETE") {
+      clearSessionCookie(res);
+      return res.status(200).json({ ok: true });
+    }
+
+    return res.status(405).json({ error: "Método não permitido" });
+  } catch (e) {
+    console.error("Erro em /api/auth:", e);
+    return res.status(500).json({ error: String(e?.message || e) });
+  }
+}
@@ -1,5 +1,4 @@
-import fs from "fs/promises";
-import path from "path";
+import { getCategorias } from "../lib/corpus.js";
 
 export default async function handler(req, res) {
   if (req.method !== "GET") {
@@ -7,22 +6,7 @@ export default async function handler(req, res) {
   }
 
   try {
-    const sumarioPath = path.join(process.cwd(), "data", "sumario_final.json");
-    const raw = await fs.readFile(sumarioPath, "utf8");
-    const sumario = JSON.parse(raw);
-    
-    // Extrair todas as categorias únicas
-    const categoriasSet = new Set();
-    sumario.forEach(secao => {
-      (secao.categorias || []).forEach(cat => {
-        if (cat.categoria) {
-          categoriasSet.add(cat.categoria);
-        }
-      });
-    });
-    
-    const categorias = Array.from(categoriasSet).sort();
-    
+    const categorias = await getCategorias();
     return res.status(200).json({ categorias });
   } catch (e) {
     console.error("Erro ao carregar categorias:", e);
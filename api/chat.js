@@ -1,28 +1,57 @@
 // api/chat.js
-import fs from "fs/promises";
-import path from "path";
-
 import { als, getLogs, logSection, logObj, logLine, logOpenAIRequest, logOpenAIResponse, truncate } from "../lib/logging.js";
-import { normalizeStr, countOccurrences, extractCitedPages, seedFromString, escapeHtml, escapeAttr } from "../lib/text.js";
-import { cosineSim } from "../lib/similarity.js";
+import { normalizeStr, extractCitedPages, seedFromString, escapeHtml, escapeAttr } from "../lib/text.js";
 import { expandWithAdjacentPages } from "../lib/context.js";
 import { semanticSearchSummary } from "../lib/summarySearch.js";
 import { recommendFromDictionary } from "../lib/dict.js";
+import { buttonForItem, itemBadges } from "../lib/dictionary/contentTypes.js";
 import { renderFinalHtml } from "../lib/render.js";
 import { transcribeBase64AudioToText } from "../lib/transcription.js";
-import { openai } from "../lib/openai.js";
-import { EMB_MODEL, CHAT_MODEL } from "../lib/constants.js";
-
-// Caminhos de dados (mantidos)
-const DATA_DIR = path.join(process.cwd(), "data");
-const BOOK_PATH = path.join(DATA_DIR, "abramede_texto.json");
-const EMB_PATH = path.join(DATA_DIR, "abramede_embeddings.json");
-const SUM_PATH = path.join(DATA_DIR, "sumario_final.json");
+import { getProvider } from "../lib/providers/index.js";
+import { getCorpus } from "../lib/corpus.js";
+import { expandQuery } from "../lib/thesaurus.js";
+import { resolveConversationId, getTurns, appendTurn, rewriteFollowUp } from "../lib/conversations.js";
+import { verifyQuotes } from "../lib/quotes.js";
+import { segmentsByPage, passageText } from "../lib/passages.js";
+import { countTokens, countMessageTokens, contextBudgetFor, packByBudget } from "../lib/tokens.js";
+import { EMB_MODEL, CHAT_MODEL, VECTOR_GLOBAL_TOP_K, QUOTE_FABRICATED_POLICY } from "../lib/constants.js";
 
 // Parâmetros de busca/contexto (mantidos)
 const EXPAND_CONTEXT = false;
 const ADJACENT_RANGE = 0;
-const TOP_PAGES_TO_SELECT = 9;
+// Candidatos ao contexto, na ordem do ranking; o orçamento de tokens do modelo decide quantos entram
+const TOP_PAGES_TO_SELECT = 12;
+const TOP_PASSAGES_TO_SELECT = 30; // quando há passagens (data/abramede_passagens.json)
+const ANSWER_MAX_TOKENS = 900;
+
+const ANSWER_SYSTEM_INSTRUCTION = `
+Você é um assistente que responde EXCLUSIVAMENTE com trechos literais de um livro-base.
+
+Regras obrigatórias:
+- SEMPRE considere que a pergunta é referente a adultos, ou seja, ignore conteúdo pediátrico se não foi solicitado.
+- NÃO explique, NÃO resuma, NÃO interprete, NÃO altere palavras, NÃO sintetize.
+- Responda SOMENTE com recortes LITERAIS e EXATOS extraídos do livro fornecido.
+- Copie cada trecho exatamente como está escrito no texto original, palavra por palavra.
+- Identifique cada trecho com o número da página (ex: "- Página 694: "trecho literal...").
+- Se houver múltiplos trechos relevantes em páginas diferentes, liste todos.
+- NÃO adicione frases introdutórias, comentários, conexões ou resumos.
+- Se não houver trechos claramente relevantes, responda apenas "Nenhum trecho encontrado no livro.".
+
+Formato obrigatório da resposta:
+- Página N: "recorte literal exato do livro"
+- Página M: "outro recorte literal exato do livro"
+`.trim();
+
+function buildAnswerUserPrompt(question, excerpts) {
+	return `
+Pergunta: """${question}"""
+
+Trechos disponíveis do livro (cada um contém número da página):
+${excerpts}
+
+Com base APENAS nos trechos acima, recorte os trechos exatos que respondem diretamente à pergunta.
+`.trim();
+}
 
 // Delays entre etapas (ms)
 const DELAY_AFTER_BOOK_MS = 3000;            // atraso entre "Livro" e "Conteúdo complementar"
@@ -32,15 +61,6 @@ const DELAY_AFTER_COMPLEMENTARY_MS = 3000;   // atraso entre "Conteúdo compleme
 const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
 
 // === Helpers locais para renderização parcial (para SSE) ===
-function buttonForType(tipoRaw, isPremium) {
-	const tipo = String(tipoRaw || "").toLowerCase();
-	if (tipo.includes("podteme")) return { label: "🎧 Ouvir episódio", kind: "primary" };
-	if (tipo.includes("preparatório teme") || tipo.includes("preparatorio teme")) return { label: "▶️ Assistir aula", kind: "accent" };
-	if (tipo.includes("instagram")) return { label: "📱 Ver post", kind: "primary" };
-	if (tipo.includes("blog")) return { label: "📰 Ler artigo", kind: "primary" };
-	if (tipo.includes("curso")) return { label: isPremium ? "💎 Conhecer o curso" : "▶️ Acessar curso", kind: isPremium ? "premium" : "accent" };
-	return { label: "🔗 Acessar conteúdo", kind: isPremium ? "premium" : "primary" };
-}
 function btnStyle(kind) {
 	const base = "display:inline-block;padding:8px 12px;border-radius:8px;text-decoration:none;font-weight:500;font-size:13px;border:1px solid;cursor:pointer;";
 	if (kind === "accent") return base + "background:rgba(56,189,248,0.08);border-color:rgba(56,189,248,0.25);color:#38bdf8;";
@@ -52,23 +72,24 @@ function renderDictItemsList(items, isPremiumSection) {
 	const itemsHtml = items.map(it => {
 		const titulo = escapeHtml(it.titulo || "");
 		const autor = it.autor ? ` <span style="color:#94a3b8">— ${escapeHtml(it.autor)}</span>` : "";
-		const tipo = it.tipoConteudo || it.tipo_conteudo || "";
-		const { label, kind } = buttonForType(tipo, !!it.pago);
+		const { label, kind } = buttonForItem(it);
 		const href = it.link ? ` href="${escapeAttr(it.link)}" target="_blank"` : "";
 
 		// Botão com e sem margem, para controlar layout
 		const btnWithTop = it.link ? `<div style="margin-top:6px"><a style="${btnStyle(kind)}"${href}>${label}</a></div>` : "";
 		const btnNoTop = it.link ? `<div><a style="${btnStyle(kind)}"${href}>${label}</a></div>` : "";
 
-		// Imagem (premium)
-		const rawImg = isPremiumSection && (it.imagemUrl || it.imagem_url || it.imagem || it.imageUrl || it.image || it.thumbnail || it.thumb || it.cover);
+		// Imagem (premium): miniatura gerada no upload quando existe, senão a imagem inteira
+		const rawImg = isPremiumSection && (it.imagemThumbUrl || it.imagemUrl || it.imagem_url || it.imagem || it.imageUrl || it.image || it.thumbnail || it.thumb || it.cover);
 		const imgTag = rawImg
-			? `<img src="${escapeAttr(String(rawImg))}" alt="${titulo}" style="width:146px;height:146px;object-fit:cover;border-radius:8px;border:1px solid #1f2937;background:#0b1220">`
+			? `<img src="${escapeAttr(String(rawImg))}" alt="${titulo}" width="146" height="146" loading="lazy" style="width:146px;height:146px;object-fit:cover;border-radius:8px;border:1px solid #1f2937;background:#0b1220">`
 			: "";
 
-		// Badges sem margem própria; o espaçamento será controlado pelo container (gap)
-		const badges = isPremiumSection
-			? `<div style="display:flex;flex-wrap:wrap;gap:6px"><span style="border:1px dashed #1f2937;border-radius:999px;padding:4px 8px;font-size:11px;color:#94a3b8">Carga horária: 12h</span><span style="border:1px dashed #1f2937;border-radius:999px;padding:4px 8px;font-size:11px;color:#94a3b8">Aulas on-demand</span><span style="border:1px dashed #1f2937;border-radius:999px;padding:4px 8px;font-size:11px;color:#94a3b8">Certificado</span></div>`
+		// Badges com os campos próprios do tipo (carga horária, episódio, preço...), sem margem própria;
+		// o espaçamento será controlado pelo container (gap)
+		const badgeList = itemBadges(it);
+		const badges = badgeList.length
+			? `<div style="display:flex;flex-wrap:wrap;gap:6px">${badgeList.map(b => `<span style="border:1px dashed #1f2937;border-radius:999px;padding:4px 8px;font-size:11px;color:#94a3b8">${escapeHtml(b)}</span>`).join("")}</div>`
 			: "";
 
 		// Premium com imagem: usar coluna com gap controlado e sem margins extras
@@ -98,6 +119,10 @@ function renderBookHtml(bookAnswer, sectionTitle) {
 	const bookSection = `<section style="background:linear-gradient(180deg,#0b1220,#111827);border:1px solid #1f2937;border-radius:12px;padding:14px;margin-bottom:12px">${sectionLabel}${contentBox}</section>`;
 	return `<div style="max-width:680px;font-family:system-ui,-apple-system,sans-serif;color:#e5e7eb">${header + bookSection}</div>`;
 }
+// Itens recomendados com o motivo de cada um (vai junto do HTML nos eventos SSE)
+function dictItemsSummary(items) {
+	return items.map(it => ({ id: it.id, titulo: it.titulo, reasons: it.reasons || [] }));
+}
 function renderDictSection(items, isPremium) {
 	if (!items || !items.length) return "";
 	return `<div style="max-width:680px;font-family:system-ui,-apple-system,sans-serif;color:#e7e7eb">${renderDictItemsList(items, isPremium)}</div>`;
@@ -224,6 +249,22 @@ export default async function handler(req, res) {
 		logSection("Pergunta recebida");
 		logObj("question", question);
 
+		// Conversa: id estável entre mensagens + reescrita de perguntas de seguimento
+		const conversationId = resolveConversationId(req.body?.conversation_id || req.query?.conversation_id);
+		const previousTurns = getTurns(conversationId);
+		const originalQuestion = question;
+		const rewrite = await rewriteFollowUp(question, previousTurns);
+		question = rewrite.question;
+		const isFollowUp = rewrite.is_follow_up;
+		// Em seguimentos, as páginas da resposta anterior entram no escopo e ganham reforço no ranking
+		const historyPages = new Set(isFollowUp ? (previousTurns[previousTurns.length - 1]?.used_pages || []) : []);
+		logObj("conversation", {
+			conversation_id: conversationId,
+			previous_turns: previousTurns.length,
+			is_follow_up: isFollowUp,
+			history_pages: Array.from(historyPages)
+		});
+
 		// Etapa 0: Classificação de intenção (pergunta ou não)
 		logSection("Etapa 0: Classificação de intenção (OpenAI)");
 		const classifyReq = {
@@ -253,7 +294,7 @@ Critérios:
 		};
 		logOpenAIRequest("chat.completions.create", classifyReq);
 		const tCls0 = Date.now();
-		const classifyResp = await openai.chat.completions.create(classifyReq);
+		const classifyResp = await getProvider().chat(classifyReq, { purpose: "classify" });
 		const clsMs = Date.now() - tCls0;
 		logOpenAIResponse("chat.completions.create", classifyResp, { duration_ms: clsMs });
 
@@ -286,7 +327,7 @@ Critérios:
 					original_pages: []
 				});
 				try { res.flush?.(); } catch {}
-				sse("done", { is_question: false, category, confidence, logs: getLogs() });
+				sse("done", { is_question: false, category, confidence, conversation_id: conversationId, logs: getLogs() });
 				return res.end();
 			}
 			return res.status(200).json({
@@ -294,32 +335,41 @@ Critérios:
 				category,
 				confidence,
 				message,
+				conversation_id: conversationId,
 				logs: getLogs()
 			});
 		}
 
 		// 1) Carregamento de dados
 		logSection("Etapa 1: Carregamento de dados");
-		const [bookRaw, embRaw, sumRaw] = await Promise.all([
-			fs.readFile(BOOK_PATH, "utf8"),
-			fs.readFile(EMB_PATH, "utf8"),
-			fs.readFile(SUM_PATH, "utf8")
-		]);
-		const pages = JSON.parse(bookRaw);
-		const pageEmbeddings = JSON.parse(embRaw);
-		const sumario = JSON.parse(sumRaw);
-
-		const pageMap = new Map(pages.map(p => [p.pagina, p.texto]));
-		const embByPage = new Map(pageEmbeddings.map(pe => [pe.pagina, pe.embedding]));
+		// Snapshot em memória (carregado uma vez, recarregado quando os arquivos mudam)
+		const corpus = await getCorpus();
+		const { pages, pageEmbeddings, sumario, pageMap, embByPage } = corpus;
+		logObj("corpus_version", corpus.version);
 		logObj("pages_loaded", pages.length);
+		logObj("text_source", corpus.textSource);
 		logObj("embeddings_loaded", pageEmbeddings.length);
+		logObj("embeddings_model", corpus.embeddingHeader?.model || "(sem cabeçalho)");
 		logObj("sumario_sections", sumario.length);
 
+		// 1b) Expansão local de siglas/sinônimos (tesauro)
+		logSection("Etapa 1b: Expansão de consulta (tesauro)");
+		const expansion = await expandQuery(question);
+		const searchQuery = expansion.query;
+		logObj("expansions_applied", expansion.applied);
+		logObj("search_query", searchQuery);
+
 		// 2) Busca semântica no sumário
 		logSection("Etapa 2: Busca semântica no sumário");
-		const summaryResult = await semanticSearchSummary(sumario, question);
+		const summaryResult = await semanticSearchSummary(sumario, searchQuery);
 		const pagesFromSummary = summaryResult.pages || [];
 		const relevantPaths = summaryResult.paths || [];
+		const rememberTurn = (usedPages) => appendTurn(conversationId, {
+			question: originalQuestion,
+			standalone_question: question,
+			used_pages: usedPages,
+			semantic_paths: relevantPaths.map(p => ({ secao: p.secao, categoria: p.categoria, topico: p.topico, subtopico: p.subtopico }))
+		});
 
 		// 3) Define escopo de candidatos
 		let candidatePages;
@@ -333,6 +383,9 @@ Critérios:
 					if (pageMap.has(adjacent)) expandedSet.add(adjacent);
 				});
 			}
+			for (const p of historyPages) {
+				if (pageMap.has(p)) expandedSet.add(p);
+			}
 			candidatePages = Array.from(expandedSet)
 				.filter(p => embByPage.has(p))
 				.sort((a, b) => a - b);
@@ -352,10 +405,10 @@ Critérios:
 
 		// 4) Embedding da pergunta
 		logSection("Etapa 4: Geração de embedding (escopo já definido)");
-		const embReq = { model: EMB_MODEL, input: question };
+		const embReq = { model: EMB_MODEL, input: searchQuery };
 		logOpenAIRequest("embeddings.create", embReq);
 		const tEmb0 = Date.now();
-		const qEmbResp = await openai.embeddings.create(embReq);
+		const qEmbResp = await getProvider().embed(embReq);
 		const embMs = Date.now() - tEmb0;
 		logOpenAIResponse("embeddings.create", qEmbResp, {
 			duration_ms: embMs,
@@ -369,17 +422,47 @@ Critérios:
 		logSection("Etapa 5: Cálculo de similaridade (otimizado)");
 		const qNorm = normalizeStr(question);
 		const qTokens = Array.from(new Set(qNorm.split(/\W+/).filter(t => t && t.length > 2)));
+		// Unidade de recuperação: passagens (se geradas) ou páginas inteiras
+		const passageMode = Boolean(corpus.passageIndex);
+		const vectorIndex = passageMode ? corpus.passageIndex : corpus.vectorIndex;
+		if (queryEmb.length !== vectorIndex.dim) {
+			throw new Error(`Embedding da pergunta com dimensão ${queryEmb.length}, mas os ${passageMode ? "das passagens" : "do livro"} têm ${vectorIndex.dim}`);
+		}
+		const lexicalIndex = passageMode ? corpus.passageLexicalIndex : corpus.lexicalIndex;
+		const unitPages = (id) => passageMode ? (corpus.passageById.get(id)?.pages || []) : [id];
+		// Escopo do sumário em páginas -> passagens contidas nessas páginas
+		const candidateUnits = searchScope === "scoped"
+			? (passageMode ? corpus.passagesForPages(candidatePages) : candidatePages)
+			: null;
+		logObj("retrieval_unit", passageMode ? "passage" : "page");
+		// BM25 com stemming/stopwords; qTokens segue usado na checagem de cobertura do contexto
+		const lexTerms = lexicalIndex.queryTerms(searchQuery);
+		logObj("lexical_terms", lexTerms);
+		// Escopo do sumário: busca exata restrita aos candidatos.
+		// Escopo global: exato compara todas as unidades; aproximado (ivf) traz só os vizinhos mais próximos.
+		const searchK = candidateUnits
+			? candidateUnits.length
+			: (vectorIndex.mode === "exact" ? vectorIndex.size : VECTOR_GLOBAL_TOP_K);
+		const tIdx0 = Date.now();
+		const hits = vectorIndex.search(queryEmb, {
+			k: searchK,
+			filter: candidateUnits
+		});
+		logObj("vector_index", { mode: vectorIndex.mode, nprobe: vectorIndex.nprobe, hits: hits.length, duration_ms: Date.now() - tIdx0 });
 		let minEmb = Infinity, maxEmb = -Infinity, maxLex = 0;
 		const prelim = [];
-		for (const pg of candidatePages) {
-			const peEmb = embByPage.get(pg);
-			if (!peEmb) continue;
-			const embScore = cosineSim(queryEmb, peEmb);
-			const raw = pageMap.get(pg) || "";
-			const txt = normalizeStr(raw);
-			let lexScore = 0;
-			for (const t of qTokens) lexScore += countOccurrences(txt, t);
-			prelim.push({ pagina: pg, embScore, lexScore, inSummary: pagesFromSummary.includes(pg) });
+		for (const { id, score: embScore } of hits) {
+			const pgs = unitPages(id).filter(pg => pageMap.has(pg));
+			if (!pgs.length) continue;
+			const lexScore = lexicalIndex.score(lexTerms, id);
+			prelim.push({
+				...(passageMode ? { passage: id, pages: pgs } : {}),
+				pagina: pgs[0],
+				embScore,
+				lexScore,
+				inSummary: pgs.some(pg => pagesFromSummary.includes(pg)),
+				inHistory: pgs.some(pg => historyPages.has(pg))
+			});
 			if (embScore < minEmb) minEmb = embScore;
 			if (embScore > maxEmb) maxEmb = embScore;
 			if (lexScore > maxLex) maxLex = lexScore;
@@ -395,13 +478,15 @@ Critérios:
 			const embNorm = (r.embScore - minEmb) / (Math.max(1e-8, maxEmb - minEmb));
 			const lexNorm = maxLex > 0 ? r.lexScore / maxLex : 0;
 			const summaryBoost = r.inSummary ? (searchScope === "scoped" ? 0.3 : 0.08) : 0;
+			const historyBoost = r.inHistory ? 0.1 : 0;
 			const embWeight = searchScope === "scoped" ? 0.8 : 0.7;
 			const lexWeight = 1 - embWeight;
-			const finalScore = embWeight * embNorm + lexWeight * lexNorm + summaryBoost;
+			const finalScore = embWeight * embNorm + lexWeight * lexNorm + summaryBoost + historyBoost;
 			return { ...r, embNorm, lexNorm, finalScore };
-		}).sort((a, b) => (b.finalScore - a.finalScore) || (a.pagina - b.pagina));
+		}).sort((a, b) => (b.finalScore - a.finalScore) || (a.pagina - b.pagina) || ((a.passage ?? 0) - (b.passage ?? 0)));
 
 		if (!ranked.length) {
+			rememberTurn([]);
 			// Streaming: envia primeiro o livro, depois o dicionário com delays
 			if (wantsSSE) {
 				const answer = "Não encontrei conteúdo no livro.";
@@ -414,7 +499,7 @@ Critérios:
 				try { res.flush?.(); } catch {}
 
 				// Dispara busca do dicionário em paralelo enquanto mostra "digitando..."
-				const dictPromise = recommendFromDictionary(req, question);
+				const dictPromise = recommendFromDictionary(question, { queryEmbedding: queryEmb, paths: relevantPaths });
 
 				// Complementar (typing + delay)
 				sse("typing", { phase: "complementary" });
@@ -427,7 +512,8 @@ Critérios:
 
 				sse("complementary", {
 					html: renderDictSection(freeItems, false),
-					count: freeItems.length
+					count: freeItems.length,
+					items: dictItemsSummary(freeItems)
 				});
 				try { res.flush?.(); } catch {}
 
@@ -438,7 +524,8 @@ Critérios:
 
 				sse("premium", {
 					html: renderDictSection(premiumItems, true),
-					count: premiumItems.length
+					count: premiumItems.length,
+					items: dictItemsSummary(premiumItems)
 				});
 				try { res.flush?.(); } catch {}
 
@@ -452,10 +539,11 @@ Critérios:
 						reduction_percentage: searchScope === "scoped"
 							? `${((1 - candidatePages.length / pageEmbeddings.length) * 100).toFixed(1)}%`
 							: "0%",
-						context_limited: false,
-						pages_removed: 0
+						context_budget: null
 					},
 					question_used: question,
+					corpus_version: corpus.version,
+					conversation_id: conversationId,
 					logs: getLogs()
 				});
 				return res.end();
@@ -467,32 +555,59 @@ Critérios:
 				search_scope: searchScope,
 				semantic_paths: relevantPaths,
 				question_used: question,
+				corpus_version: corpus.version,
+				conversation_id: conversationId,
 				logs: getLogs()
 			});
 		}
 
 		// 7) Seleção e expansão de páginas
-		logSection("Etapa 7: Seleção e expansão de páginas");
-		const selectedPages = ranked.slice(0, Math.min(TOP_PAGES_TO_SELECT, ranked.length)).map(r => r.pagina);
-		const finalPages = EXPAND_CONTEXT
-			? expandWithAdjacentPages(selectedPages, pageMap, ADJACENT_RANGE)
-			: selectedPages;
-
-		const nonEmptyPages = finalPages.filter(p => (pageMap.get(p) || "").trim());
-		const MAX_CONTEXT_PAGES = 10;
-		let limitedPages = nonEmptyPages;
-		if (nonEmptyPages.length > MAX_CONTEXT_PAGES) {
-			const pagesWithScore = nonEmptyPages.map(p => {
-				const rankInfo = ranked.find(r => r.pagina === p);
-				return { pagina: p, score: rankInfo ? rankInfo.finalScore : 0 };
-			}).sort((a, b) => b.score - a.score);
-			limitedPages = pagesWithScore.slice(0, MAX_CONTEXT_PAGES).map(p => p.pagina).sort((a, b) => a - b);
-			logSection("⚠️ Contexto limitado por tamanho");
-			logObj("original_count", nonEmptyPages.length);
-			logObj("limited_to", limitedPages.length);
-			logObj("removed_pages", nonEmptyPages.filter(p => !limitedPages.includes(p)));
+		logSection("Etapa 7: Seleção de contexto por orçamento de tokens");
+		// Orçamento = teto do modelo, descontando a resposta e o restante do prompt
+		const overheadTokens = countMessageTokens([
+			{ content: ANSWER_SYSTEM_INSTRUCTION },
+			{ content: buildAnswerUserPrompt(question, "") }
+		], CHAT_MODEL);
+		const budgetTokens = contextBudgetFor(CHAT_MODEL, { answerTokens: ANSWER_MAX_TOKENS, overheadTokens });
+		const excerptCost = (pagina, text) => countTokens(`Página ${pagina}:\n${text}\n\n`, CHAT_MODEL);
+
+		// Candidatos na ordem do ranking (páginas vizinhas, se expandidas, entram depois das ranqueadas)
+		let candidates;
+		if (passageMode) {
+			candidates = ranked.slice(0, TOP_PASSAGES_TO_SELECT);
+		} else {
+			const rankOf = new Map(ranked.map((r, i) => [r.pagina, i]));
+			const topPages = ranked.slice(0, TOP_PAGES_TO_SELECT).map(r => r.pagina);
+			candidates = (EXPAND_CONTEXT ? expandWithAdjacentPages(topPages, pageMap, ADJACENT_RANGE) : topPages)
+				.filter(p => (pageMap.get(p) || "").trim())
+				.sort((a, b) => (rankOf.get(a) ?? Infinity) - (rankOf.get(b) ?? Infinity));
 		}
+		const packing = passageMode
+			? packByBudget(candidates, budgetTokens, r => excerptCost(r.pagina, passageText(corpus.passageById.get(r.passage), pageMap)))
+			: packByBudget(candidates, budgetTokens, p => excerptCost(p, pageMap.get(p)));
+
+		// Com passagens: as passagens empacotadas definem as páginas
+		const selectedPassages = passageMode ? packing.packed : [];
+		const selectedPages = passageMode
+			? Array.from(new Set(candidates.flatMap(r => r.pages)))
+			: candidates;
+		const limitedPages = passageMode
+			? Array.from(new Set(selectedPassages.flatMap(r => r.pages))).sort((a, b) => a - b)
+			: [...packing.packed].sort((a, b) => a - b);
+		const contextBudget = {
+			model: CHAT_MODEL,
+			unit: passageMode ? "passage" : "page",
+			budget_tokens: budgetTokens,
+			used_tokens: packing.used,
+			items_packed: packing.packed.length,
+			items_dropped: packing.dropped.length,
+			dropped: packing.dropped.map(d => passageMode ? d.passage : d)
+		};
+		if (passageMode) logObj("selected_passages", selectedPassages.map(r => ({ passage: r.passage, pages: r.pages, score: Number(r.finalScore.toFixed(4)) })));
+		logObj("context_budget", contextBudget);
+		if (packing.dropped.length) logLine(`⚠️ ${packing.dropped.length} candidato(s) fora do orçamento de ${budgetTokens} tokens.`);
 		if (!limitedPages.length) {
+			rememberTurn([]);
 			if (wantsSSE) {
 				const answer = "Não encontrei conteúdo no livro.";
 
@@ -505,7 +620,7 @@ Critérios:
 				try { res.flush?.(); } catch {}
 
 				// Dispara busca do dicionário em paralelo
-				const dictPromise = recommendFromDictionary(req, question);
+				const dictPromise = recommendFromDictionary(question, { queryEmbedding: queryEmb, paths: relevantPaths });
 
 				// Complementar (typing + delay)
 				sse("typing", { phase: "complementary" });
@@ -518,7 +633,8 @@ Critérios:
 
 				sse("complementary", {
 					html: renderDictSection(freeItems, false),
-					count: freeItems.length
+					count: freeItems.length,
+					items: dictItemsSummary(freeItems)
 				});
 				try { res.flush?.(); } catch {}
 
@@ -529,7 +645,8 @@ Critérios:
 
 				sse("premium", {
 					html: renderDictSection(premiumItems, true),
-					count: premiumItems.length
+					count: premiumItems.length,
+					items: dictItemsSummary(premiumItems)
 				});
 				try { res.flush?.(); } catch {}
 
@@ -542,10 +659,11 @@ Critérios:
 						reduction_percentage: searchScope === "scoped"
 							? `${((1 - candidatePages.length / pageEmbeddings.length) * 100).toFixed(1)}%`
 							: "0%",
-						context_limited: false,
-						pages_removed: 0
+						context_budget: contextBudget
 					},
 					question_used: question,
+					corpus_version: corpus.version,
+					conversation_id: conversationId,
 					logs: getLogs()
 				});
 				return res.end();
@@ -557,14 +675,25 @@ Critérios:
 				search_scope: searchScope,
 				semantic_paths: relevantPaths,
 				question_used: question,
+				corpus_version: corpus.version,
+				conversation_id: conversationId,
 				logs: getLogs()
 			});
 		}
 
 		// 8) Contexto
 		logSection("Etapa 8: Montagem de contexto");
-		const contextText = limitedPages.map(p => `--- Página ${p} ---\n${(pageMap.get(p) || "").trim()}\n`).join("\n");
+		// Texto enviado por página: página inteira ou só os trechos das passagens selecionadas
+		const passageSegments = passageMode
+			? segmentsByPage(selectedPassages.map(r => corpus.passageById.get(r.passage)), pageMap)
+			: null;
+		const promptTextForPage = (p) => (passageSegments ? passageSegments.get(p) : pageMap.get(p)) || "";
+		const contextText = limitedPages.map(p => `--- Página ${p} ---\n${promptTextForPage(p).trim()}\n`).join("\n");
+		const excerpts = limitedPages.map(p => `Página ${p}:\n${promptTextForPage(p)}`).join("\n\n");
+		// Passagens sobrepostas mescladas custam menos que a soma estimada na seleção
+		contextBudget.used_tokens = countTokens(excerpts, CHAT_MODEL);
 		logObj("context_length", contextText.length);
+		logObj("context_tokens", contextBudget.used_tokens);
 		logObj("context_preview", truncate(contextText, 1000));
 
 		const qNormCheck = normalizeStr(question);
@@ -580,55 +709,40 @@ Critérios:
 
 		// 9) Geração (resposta literal)
 		if (wantsSSE) sse("typing", { phase: "book" });
-		const systemInstruction = `
-Você é um assistente que responde EXCLUSIVAMENTE com trechos literais de um livro-base.
-
-Regras obrigatórias:
-- SEMPRE considere que a pergunta é referente a adultos, ou seja, ignore conteúdo pediátrico se não foi solicitado.
-- NÃO explique, NÃO resuma, NÃO interprete, NÃO altere palavras, NÃO sintetize.
-- Responda SOMENTE com recortes LITERAIS e EXATOS extraídos do livro fornecido.
-- Copie cada trecho exatamente como está escrito no texto original, palavra por palavra.
-- Identifique cada trecho com o número da página (ex: "- Página 694: "trecho literal...").
-- Se houver múltiplos trechos relevantes em páginas diferentes, liste todos.
-- NÃO adicione frases introdutórias, comentários, conexões ou resumos.
-- Se não houver trechos claramente relevantes, responda apenas "Nenhum trecho encontrado no livro.".
-
-Formato obrigatório da resposta:
-- Página N: "recorte literal exato do livro"
-- Página M: "outro recorte literal exato do livro"
-`.trim();
-
-		const userPrompt = `
-Pergunta: """${question}"""
-
-Trechos disponíveis do livro (cada um contém número da página):
-${limitedPages.map(p => `Página ${p}:\n${pageMap.get(p)}`).join("\n\n")}
-
-Com base APENAS nos trechos acima, recorte os trechos exatos que respondem diretamente à pergunta.
-`.trim();
-
 		const chatReq = {
 			model: CHAT_MODEL,
 			messages: [
-				{ role: "system", content: systemInstruction },
-				{ role: "user", content: userPrompt }
+				{ role: "system", content: ANSWER_SYSTEM_INSTRUCTION },
+				{ role: "user", content: buildAnswerUserPrompt(question, excerpts) }
 			],
 			temperature: 0,
 			top_p: 1,
 			frequency_penalty: 0,
 			presence_penalty: 0,
 			n: 1,
-			max_tokens: 900,
+			max_tokens: ANSWER_MAX_TOKENS,
 			seed: seedFromString(question)
 		};
 
 		logOpenAIRequest("chat.completions.create", chatReq);
 		const tChat0 = Date.now();
-		const chatResp = await openai.chat.completions.create(chatReq);
+		const chatResp = await getProvider().chat(chatReq, { purpose: "answer" });
 		const chatMs = Date.now() - tChat0;
 		logOpenAIResponse("chat.completions.create", chatResp, { duration_ms: chatMs });
 
-		const answer = chatResp.choices?.[0]?.message?.content?.trim() || "Não encontrei conteúdo no livro.";
+		const rawAnswer = chatResp.choices?.[0]?.message?.content?.trim() || "Não encontrei conteúdo no livro.";
+
+		// 9b) Verificação das citações literais contra as páginas
+		logSection("Etapa 9b: Verificação de citações");
+		const verification = verifyQuotes(rawAnswer, {
+			pageMap,
+			contextPages: limitedPages,
+			policy: QUOTE_FABRICATED_POLICY
+		});
+		const answer = verification.answer;
+		const quoteVerification = verification.quotes;
+		logObj("quotes", quoteVerification.map(q => ({ page: q.page, cited_page: q.cited_page, status: q.status, similarity: q.similarity })));
+		rememberTurn(limitedPages);
 
 		// Livro primeiro no SSE
 		if (wantsSSE) {
@@ -636,12 +750,14 @@ Com base APENAS nos trechos acima, recorte os trechos exatos que respondem diret
 			sse("book", {
 				html: renderBookHtml(answer, sectionTitle || undefined),
 				used_pages: limitedPages,
-				original_pages: selectedPages
+				original_pages: selectedPages,
+				used_passages: selectedPassages.map(r => r.passage),
+				quote_verification: quoteVerification
 			});
 			try { res.flush?.(); } catch {}
 
 			// Dispara busca do dicionário em paralelo enquanto aguardamos o delay
-			const dictPromise = recommendFromDictionary(req, question);
+			const dictPromise = recommendFromDictionary(question, { queryEmbedding: queryEmb, paths: relevantPaths });
 
 			// Complementar (typing + delay)
 			sse("typing", { phase: "complementary" });
@@ -654,7 +770,8 @@ Com base APENAS nos trechos acima, recorte os trechos exatos que respondem diret
 
 			sse("complementary", {
 				html: renderDictSection(freeItems, false),
-				count: freeItems.length
+				count: freeItems.length,
+				items: dictItemsSummary(freeItems)
 			});
 			try { res.flush?.(); } catch {}
 
@@ -665,7 +782,8 @@ Com base APENAS nos trechos acima, recorte os trechos exatos que respondem diret
 
 			sse("premium", {
 				html: renderDictSection(premiumItems, true),
-				count: premiumItems.length
+				count: premiumItems.length,
+				items: dictItemsSummary(premiumItems)
 			});
 			try { res.flush?.(); } catch {}
 
@@ -682,10 +800,11 @@ Com base APENAS nos trechos acima, recorte os trechos exatos que respondem diret
 					reduction_percentage: searchScope === "scoped"
 						? `${((1 - candidatePages.length / pageEmbeddings.length) * 100).toFixed(1)}%`
 						: "0%",
-					context_limited: nonEmptyPages.length > limitedPages.length,
-					pages_removed: nonEmptyPages.length - limitedPages.length
+					context_budget: contextBudget
 				},
 				question_used: question,
+				corpus_version: corpus.version,
+				conversation_id: conversationId,
 				logs: getLogs()
 			});
 			return res.end();
@@ -696,6 +815,8 @@ Com base APENAS nos trechos acima, recorte os trechos exatos que respondem diret
 			answer: answer,
 			used_pages: limitedPages,
 			original_pages: selectedPages,
+			used_passages: selectedPassages.map(r => r.passage),
+			quote_verification: quoteVerification,
 			expanded_context: EXPAND_CONTEXT,
 			search_scope: searchScope,
 			semantic_paths: relevantPaths.map(p => ({
@@ -708,10 +829,11 @@ Com base APENAS nos trechos acima, recorte os trechos exatos que respondem diret
 				reduction_percentage: searchScope === "scoped"
 					? `${((1 - candidatePages.length / pageEmbeddings.length) * 100).toFixed(1)}%`
 					: "0%",
-				context_limited: nonEmptyPages.length > limitedPages.length,
-				pages_removed: nonEmptyPages.length - limitedPages.length
+				context_budget: contextBudget
 			},
 			question_used: question,
+			corpus_version: corpus.version,
+			conversation_id: conversationId,
 			logs: getLogs()
 		});
 	} catch (err) {
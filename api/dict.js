@@ -1,192 +1,63 @@
-import fs from "fs/promises";
-import path from "path";
-import { createClient } from "@supabase/supabase-js";
-
-const DATA_DIR = path.join(process.cwd(), "data");
-const DICT_PATH = path.join(DATA_DIR, "dictionary.json");
-const BUCKET_NAME = "dictionary-images"; // bucket público para imagens
-
-// Use a service role key on the server to bypass RLS; fallback to anon if missing.
-const supabaseKey =
-  process.env.SUPABASE_SERVICE_ROLE_KEY ||
-  process.env.SUPABASE_SERVICE_ROLE ||
-  process.env.SUPABASE_ANON_KEY;
-
-if (!process.env.SUPABASE_URL) {
-  console.warn("SUPABASE_URL não definido");
-}
-if (!supabaseKey) {
-  console.warn("Nenhuma SUPABASE key definida (SERVICE_ROLE_KEY/SERVICE_ROLE/ANON)");
-}
-const supabase = createClient(process.env.SUPABASE_URL, supabaseKey);
-
-async function ensureDataDir() {
-  await fs.mkdir(DATA_DIR, { recursive: true });
-}
-
-async function loadDictionary() {
-  try {
-    const raw = await fs.readFile(DICT_PATH, "utf8");
-    const arr = JSON.parse(raw);
-    if (!Array.isArray(arr)) throw new Error("Formato inválido");
-    return arr;
-  } catch {
-    return [];
-  }
-}
-
-async function saveDictionary(arr) {
-  await ensureDataDir();
-  await fs.writeFile(DICT_PATH, JSON.stringify(arr, null, 2), "utf8");
-}
-
-function genId() {
-  return Math.random().toString(36).slice(2) + Date.now().toString(36);
-}
-
-function validateEntry(input) {
-  const titulo = String(input.titulo || "").trim();
-  if (!titulo) return { ok: false, error: "titulo é obrigatório" };
-  const autor = String(input.autor || "").trim();
-  const tipoConteudo = String(input.tipoConteudo || input["tipo de conteudo"] || "").trim();
-  let pagoRaw = input.pago;
-  if (typeof pagoRaw === "string") {
-    const l = pagoRaw.toLowerCase();
-    pagoRaw = l === "sim" || l === "true" || l === "1";
-  }
-  const pago = Boolean(pagoRaw);
-  const link = String(input.link || "").trim();
-  if (link && !/^https?:\/\/\S+/i.test(link)) return { ok: false, error: "link inválido" };
-
-  let tags = input.tags;
-  if (typeof tags === "string") {
-    tags = tags.split(",").map(t => t.trim()).filter(Boolean);
-  }
-  if (!Array.isArray(tags)) tags = [];
-
-  // Novo: imagemUrl (opcional)
-  const imagemUrl = String(input.imagemUrl || input.imagem_url || "").trim();
-  if (imagemUrl && !/^https?:\/\/\S+/i.test(imagemUrl)) {
-    return { ok: false, error: "imagemUrl inválida" };
-  }
-
-  return { ok: true, value: { titulo, autor, tipo_conteudo: tipoConteudo, pago, link, tags, imagem_url: imagemUrl } };
-}
-
-// Upload helper: salva base64 no Storage e retorna public URL
-async function uploadBase64ToStorage({ id, base64, mime, originalName }) {
-  if (!base64 || !mime || !id) return null;
-  if (!/^image\//i.test(mime)) throw new Error("Tipo de imagem inválido");
-  const buffer = Buffer.from(base64, "base64");
-  const maxBytes = 5 * 1024 * 1024; // 5MB no servidor
-  if (buffer.length > maxBytes) throw new Error("Imagem excede 5MB");
-
-  const safeName = String(originalName || `img-${Date.now()}`).replace(/[^a-z0-9._-]+/gi, "-");
-  const ext = path.extname(safeName) || "";
-  const fname = `${Date.now()}-${safeName}`;
-  const objectPath = `${id}/${fname}`;
-
-  const { error: uploadError } = await supabase
-    .storage
-    .from(BUCKET_NAME)
-    .upload(objectPath, buffer, { contentType: mime, upsert: true });
-
-  if (uploadError) throw uploadError;
-
-  const { data: publicData } = supabase.storage.from(BUCKET_NAME).getPublicUrl(objectPath);
-  return publicData?.publicUrl || null;
-}
-
-// Novo: remover todas as imagens do item (pasta id/)
-async function deleteAllImagesForId(id) {
-  try {
-    if (!id) return;
-    // lista objetos na "pasta" id/
-    const { data: files, error: listErr } = await supabase.storage.from(BUCKET_NAME).list(id, { limit: 100 });
-    if (listErr) return; // não falhar a operação principal por limpeza
-    if (!files || files.length === 0) return;
-    const paths = files.map(f => `${id}/${f.name}`);
-    await supabase.storage.from(BUCKET_NAME).remove(paths);
-  } catch {
-    // ignora erros de limpeza
-  }
-}
+import { getDictionaryRepository, validateEntry, genId, isDictQuery, parseDictQuery } from "../lib/dictionary/index.js";
+import { decodeImageUpload, uploadImage, deleteImages, getImageStore } from "../lib/dictionary/images/index.js";
+import { supabaseUsesAnonKey } from "../lib/supabase.js";
+import { requireRole } from "../lib/auth.js";
+
+// CRUD do dicionário. O armazenamento (JSON local, SQLite ou Supabase) é escolhido por
+// DICT_BACKEND em lib/constants.js; o formato dos itens da API é o mesmo em todos.
+// Requer sessão do admin (api/auth.js): leitura com papel viewer, escrita com editor.
+// Toda escrita é auditada com o usuário da sessão (GET /api/audit).
+// DELETE manda o item para a lixeira; revisões e restauração em api/dict/revisions.js e
+// api/dict/restore.js. Imagens só são apagadas no purge (revisões antigas podem usá-las).
 
 export default async function handler(req, res) {
   const { method } = req;
   const { id } = req.query;
+  const repo = getDictionaryRepository();
 
   try {
-    // Falha rápida para operações de escrita quando só há ANON key
     const isWrite = method === "POST" || method === "PUT" || method === "DELETE";
-    const usingAnon =
-      !!process.env.SUPABASE_ANON_KEY &&
-      supabaseKey === process.env.SUPABASE_ANON_KEY &&
-      !(process.env.SUPABASE_SERVICE_ROLE_KEY || process.env.SUPABASE_SERVICE_ROLE);
+    const user = requireRole(req, res, isWrite ? "editor" : "viewer");
+    if (!user) return;
 
-    if (isWrite && usingAnon) {
+    // Falha rápida para operações de escrita no Supabase quando só há ANON key
+    const needsSupabaseWrite = repo.backend === "supabase" || (!!req.body?.imagemData && getImageStore().name === "supabase");
+    if (isWrite && needsSupabaseWrite && supabaseUsesAnonKey()) {
       return res.status(403).json({
         error:
           "RLS: configure SUPABASE_SERVICE_ROLE_KEY (ou SUPABASE_SERVICE_ROLE) nas variáveis do servidor."
       });
     }
 
+    // GET /api/dict?q=&tipoConteudo=&pago=&tag=&status=&sort=&order=&limit=&offset=&deleted=
+    // busca paginada: { items, total, limit, offset, next_offset }; deleted=true lista a lixeira;
+    // status=active|upcoming|expired filtra pela janela de exibição
+    if (method === "GET" && !id && isDictQuery(req.query)) {
+      const query = parseDictQuery(req.query);
+      if (!query.ok) return res.status(400).json({ error: query.error });
+      return res.status(200).json(await repo.search(query.value));
+    }
+
     // GET /api/dict - lista todos
     if (method === "GET" && !id) {
-      const { data, error } = await supabase
-        .from("dictionary")
-        .select("*")
-        .order("created_at", { ascending: false });
-
-      if (error) throw error;
-
-      const items = (data || []).map(item => ({
-        id: item.id,
-        titulo: item.titulo,
-        autor: item.autor,
-        tipoConteudo: item.tipo_conteudo,
-        pago: item.pago,
-        link: item.link,
-        tags: item.tags || [],
-        imagemUrl: item.imagem_url || null,
-        createdAt: item.created_at,
-        updatedAt: item.updated_at
-      }));
-
-      return res.status(200).json(items);
+      return res.status(200).json(await repo.list());
     }
 
-    // GET /api/dict?id=xxx - busca um
+    // GET /api/dict?id=xxx - busca um (inclusive na lixeira: deletedAt preenchido)
     if (method === "GET" && id) {
-      const { data, error } = await supabase
-        .from("dictionary")
-        .select("*")
-        .eq("id", id)
-        .single();
-
-      if (error) {
-        if (error.code === "PGRST116") {
-          return res.status(404).json({ error: "Não encontrado" });
-        }
-        throw error;
-      }
-
-      const item = {
-        id: data.id,
-        titulo: data.titulo,
-        autor: data.autor,
-        tipoConteudo: data.tipo_conteudo,
-        pago: data.pago,
-        link: data.link,
-        tags: data.tags || [],
-        imagemUrl: data.imagem_url || null,
-        createdAt: data.created_at,
-        updatedAt: data.updated_at
-      };
-
+      const item = await repo.get(id, { includeDeleted: true });
+      if (!item) return res.status(404).json({ error: "Não encontrado" });
       return res.status(200).json(item);
     }
 
+    // Imagem em base64 (imagemData): formato real e limites conferidos antes de gravar qualquer coisa
+    let image = null;
+    if ((method === "POST" || method === "PUT") && req.body?.imagemData) {
+      const img = decodeImageUpload(req.body.imagemData);
+      if (!img.ok) return res.status(400).json({ error: img.error });
+      image = img.value;
+    }
+
     // POST /api/dict - criar
     if (method === "POST") {
       const v = validateEntry(req.body || {});
@@ -194,45 +65,16 @@ export default async function handler(req, res) {
 
       const newId = genId();
 
-      // Se veio imagem em base64, subir para o Storage
-      let finalImagemUrl = v.value.imagem_url || null;
-      if (req.body?.imagemData) {
-        finalImagemUrl = await uploadBase64ToStorage({
-          id: newId,
-          base64: req.body.imagemData,
-          mime: req.body.imagemType,
-          originalName: req.body.imagemName
-        });
+      // Se veio imagem, grava o original e a miniatura
+      let { imagemUrl, imagemThumbUrl } = v.value;
+      if (image) {
+        const uploaded = await uploadImage({ id: newId, image, originalName: req.body.imagemName });
+        imagemUrl = uploaded.url;
+        imagemThumbUrl = uploaded.variants.thumb || null;
       }
 
-      const insertPayload = {
-        id: newId,
-        ...v.value,
-        imagem_url: finalImagemUrl
-      };
-
-      const { data, error } = await supabase
-        .from("dictionary")
-        .insert([insertPayload])
-        .select()
-        .single();
-
-      if (error) throw error;
-
-      const result = {
-        id: data.id,
-        titulo: data.titulo,
-        autor: data.autor,
-        tipoConteudo: data.tipo_conteudo,
-        pago: data.pago,
-        link: data.link,
-        tags: data.tags || [],
-        imagemUrl: data.imagem_url || null,
-        createdAt: data.created_at,
-        updatedAt: data.updated_at
-      };
-
-      return res.status(201).json(result);
+      const item = await repo.create({ ...v.value, imagemUrl, imagemThumbUrl }, { id: newId, actor: user });
+      return res.status(201).json(item);
     }
 
     // PUT /api/dict?id=xxx - atualizar
@@ -240,66 +82,41 @@ export default async function handler(req, res) {
       const v = validateEntry(req.body || {});
       if (!v.ok) return res.status(400).json({ error: v.error });
 
-      // Se veio nova imagem em base64, sobrescreve a URL com a nova
-      let finalImagemUrl = v.value.imagem_url || null;
-      if (req.body?.imagemData) {
-        finalImagemUrl = await uploadBase64ToStorage({
-          id,
-          base64: req.body.imagemData,
-          mime: req.body.imagemType,
-          originalName: req.body.imagemName
-        });
-      } else if (finalImagemUrl === null) {
-        // sem nova imagem e imagemUrl vazia/null => remover imagens existentes
-        await deleteAllImagesForId(id);
+      const current = await repo.get(id);
+      if (!current) return res.status(404).json({ error: "Não encontrado" });
+
+      // Se veio nova imagem em base64, sobrescreve a URL com a nova (a anterior fica no Storage
+      // para as revisões antigas; sem imagem nova e imagemUrl vazia, o item só perde a referência)
+      let { imagemUrl, imagemThumbUrl } = v.value;
+      if (image) {
+        const uploaded = await uploadImage({ id, image, originalName: req.body.imagemName });
+        imagemUrl = uploaded.url;
+        imagemThumbUrl = uploaded.variants.thumb || null;
+      } else if (imagemUrl && !imagemThumbUrl && current.imagemUrl === imagemUrl) {
+        // Corpo sem a miniatura: mantém a do item se a imagem é a mesma
+        imagemThumbUrl = current.imagemThumbUrl;
       }
 
-      const { data, error } = await supabase
-        .from("dictionary")
-        .update({
-          ...v.value,
-          imagem_url: finalImagemUrl,
-          updated_at: new Date().toISOString()
-        })
-        .eq("id", id)
-        .select()
-        .single();
+      const item = await repo.update(id, { ...v.value, imagemUrl, imagemThumbUrl }, { actor: user });
+      if (!item) return res.status(404).json({ error: "Não encontrado" });
+      return res.status(200).json(item);
+    }
 
-      if (error) {
-        if (error.code === "PGRST116") {
-          return res.status(404).json({ error: "Não encontrado" });
-        }
-        throw error;
-      }
+    // DELETE /api/dict?id=xxx&purge=true - apaga de vez um item da lixeira (com revisões e imagens)
+    if (method === "DELETE" && id && /^(1|true|sim)$/i.test(String(req.query.purge || ""))) {
+      const result = await repo.purge(id, { actor: user });
+      if (result.error) return res.status(result.status).json({ error: result.error });
 
-      const result = {
-        id: data.id,
-        titulo: data.titulo,
-        autor: data.autor,
-        tipoConteudo: data.tipo_conteudo,
-        pago: data.pago,
-        link: data.link,
-        tags: data.tags || [],
-        imagemUrl: data.imagem_url || null,
-        createdAt: data.created_at,
-        updatedAt: data.updated_at
-      };
+      // limpeza best-effort das imagens
+      await deleteImages(id);
 
-      return res.status(200).json(result);
+      return res.status(200).json({ ok: true, purged: true });
     }
 
-    // DELETE /api/dict?id=xxx - excluir
+    // DELETE /api/dict?id=xxx - excluir (vai para a lixeira; POST /api/dict/restore desfaz)
     if (method === "DELETE" && id) {
-      const { error } = await supabase
-        .from("dictionary")
-        .delete()
-        .eq("id", id);
-
-      if (error) throw error;
-
-      // limpeza best-effort das imagens
-      await deleteAllImagesForId(id);
-
+      const removed = await repo.remove(id, { actor: user });
+      if (!removed) return res.status(404).json({ error: "Não encontrado" });
       return res.status(200).json({ ok: true });
     }
 
@@ -0,0 +1,39 @@
+import { getDictionaryRepository, parseDictQuery } from "../../lib/dictionary/index.js";
+import { itemsToCsv, itemsToExportJson } from "../../lib/dictionary/transfer.js";
+import { requireRole } from "../../lib/auth.js";
+
+// GET /api/dict/export?format=csv|json[&delimiter=;] - exporta o dicionário
+// Aceita os mesmos filtros/ordenação de GET /api/dict (q, tipoConteudo, pago, tag, status, sort, order),
+// sem paginação. O resultado pode ser reimportado em /api/dict/import. Requer papel viewer.
+
+export default async function handler(req, res) {
+  if (req.method !== "GET") {
+    return res.status(405).json({ error: "Método não permitido" });
+  }
+  if (!requireRole(req, res, "viewer")) return;
+
+  try {
+    const { format = "csv", delimiter = ",", limit, offset, ...filters } = req.query || {};
+    if (format !== "csv" && format !== "json") {
+      return res.status(400).json({ error: "format deve ser csv ou json" });
+    }
+    if (![",", ";", "\t"].includes(delimiter)) {
+      return res.status(400).json({ error: "delimiter deve ser , ; ou tab" });
+    }
+    const query = parseDictQuery(filters);
+    if (!query.ok) return res.status(400).json({ error: query.error });
+
+    const { items } = await getDictionaryRepository().search({ ...query.value, limit: Infinity, offset: 0 });
+    const stamp = new Date().toISOString().slice(0, 10);
+
+    res.setHeader("Content-Disposition", `attachment; filename="dicionario-${stamp}.${format}"`);
+    if (format === "json") {
+      return res.status(200).json(itemsToExportJson(items));
+    }
+    res.setHeader("Content-Type", "text/csv; charset=utf-8");
+    return res.status(200).send(itemsToCsv(items, { delimiter }));
+  } catch (e) {
+    console.error("Erro em /api/dict/export:", e);
+    return res.status(500).json({ error: String(e?.message || e) });
+  }
+}
@@ -0,0 +1,24 @@
+import { readImage } from "../../lib/dictionary/images/index.js";
+
+// GET /api/dict/image?key=<id>/<arquivo> - serve as imagens do armazenamento local
+// (originais e miniaturas). Público: as imagens aparecem nas respostas do chat.
+// O tipo vem do conteúdo do arquivo; nomes nunca são reaproveitados, então o cache é longo.
+
+export default async function handler(req, res) {
+  if (req.method !== "GET" && req.method !== "HEAD") {
+    return res.status(405).json({ error: "Método não permitido" });
+  }
+
+  try {
+    const image = await readImage(String(req.query?.key || ""));
+    if (!image) return res.status(404).json({ error: "Imagem não encontrada" });
+    res.setHeader("Content-Type", image.mime);
+    res.setHeader("Content-Length", image.buffer.length);
+    res.setHeader("Cache-Control", "public, max-age=31536000, immutable");
+    res.setHeader("X-Content-Type-Options", "nosniff");
+    return res.status(200).end(req.method === "HEAD" ? undefined : image.buffer);
+  } catch (e) {
+    console.error("Erro em /api/dict/image:", e);
+    return res.status(500).json({ error: String(e?.message || e) });
+  }
+}
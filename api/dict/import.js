@@ -0,0 +1,62 @@
+import { getDictionaryRepository } from "../../lib/dictionary/index.js";
+import { recordsFromCsv, recordsFromJson, planImport } from "../../lib/dictionary/transfer.js";
+import { getCategorias } from "../../lib/corpus.js";
+import { requireRole } from "../../lib/auth.js";
+
+// POST /api/dict/import - importação em lote (CSV ou JSON)
+// Body JSON: { csv: "<texto>" } ou { items: [...] }, mais:
+//   dryRun (padrão true): só devolve o relatório linha a linha, sem gravar
+//   onDuplicate: "skip" (padrão) ou "update"
+// Resposta: { dry_run, summary, rows, ignored_columns }; com dryRun=false, também created/updated.
+// Requer papel editor (mesmo na simulação); cada item gravado é auditado com meta.source = "import".
+
+const parseFlag = (v, fallback) => (v === undefined ? fallback : /^(1|true|sim)$/i.test(String(v)));
+
+export default async function handler(req, res) {
+  if (req.method !== "POST") {
+    return res.status(405).json({ error: "Método não permitido" });
+  }
+  const user = requireRole(req, res, "editor");
+  if (!user) return;
+
+  try {
+    const body = req.body || {};
+    const dryRun = parseFlag(body.dryRun ?? req.query?.dryRun, true);
+    const onDuplicate = body.onDuplicate || req.query?.onDuplicate || "skip";
+    if (onDuplicate !== "skip" && onDuplicate !== "update") {
+      return res.status(400).json({ error: "onDuplicate deve ser skip ou update" });
+    }
+
+    let parsed;
+    try {
+      if (typeof body.csv === "string") parsed = recordsFromCsv(body.csv);
+      else if (body.items !== undefined) parsed = recordsFromJson(body.items);
+      else return res.status(400).json({ error: "Envie csv (texto) ou items (lista)" });
+    } catch (e) {
+      return res.status(400).json({ error: String(e?.message || e) });
+    }
+
+    const repo = getDictionaryRepository();
+    const [existing, categorias] = await Promise.all([repo.list(), getCategorias()]);
+    const plan = planImport(parsed.records, { existing, categorias, onDuplicate });
+    const result = { dry_run: dryRun, summary: plan.summary, rows: plan.rows, ignored_columns: parsed.ignoredColumns };
+    if (dryRun) return res.status(200).json(result);
+
+    const creates = plan.actions.filter(a => a.type === "create");
+    const audit = { actor: user, meta: { source: "import" } };
+    const created = await repo.createMany(creates.map(a => a.value), audit);
+    const idByRow = new Map(creates.map((a, i) => [a.row, created[i].id]));
+    let updated = 0;
+    for (const a of plan.actions.filter(a => a.type === "update")) {
+      if (await repo.update(a.id, a.value, audit)) updated++;
+    }
+    for (const r of plan.rows) {
+      if (idByRow.has(r.row)) r.id = idByRow.get(r.row);
+    }
+
+    return res.status(200).json({ ...result, created: created.length, updated });
+  } catch (e) {
+    console.error("Erro em /api/dict/import:", e);
+    return res.status(500).json({ error: String(e?.message || e) });
+  }
+}
@@ -0,0 +1,31 @@
+import { getDictionaryRepository } from "../../lib/dictionary/index.js";
+import { requireRole } from "../../lib/auth.js";
+
+// POST /api/dict/restore?id=xxx - tira o item da lixeira
+// POST /api/dict/restore?id=xxx&revision=2 - volta o item à revisão 2 (gravada como nova revisão;
+// também tira da lixeira). id/revision também podem vir no body. Requer papel editor.
+
+export default async function handler(req, res) {
+  if (req.method !== "POST") {
+    return res.status(405).json({ error: "Método não permitido" });
+  }
+  const user = requireRole(req, res, "editor");
+  if (!user) return;
+
+  try {
+    const id = req.query?.id || req.body?.id;
+    if (!id) return res.status(400).json({ error: "Informe id" });
+    const rawRevision = req.query?.revision ?? req.body?.revision;
+    const revision = rawRevision === undefined || rawRevision === "" ? null : Number(rawRevision);
+    if (revision !== null && (!Number.isInteger(revision) || revision < 1)) {
+      return res.status(400).json({ error: "revision deve ser um inteiro >= 1" });
+    }
+
+    const result = await getDictionaryRepository().restore(id, { revision, actor: user });
+    if (result.error) return res.status(result.status).json({ error: result.error });
+    return res.status(200).json(result.item);
+  } catch (e) {
+    console.error("Erro em /api/dict/restore:", e);
+    return res.status(500).json({ error: String(e?.message || e) });
+  }
+}
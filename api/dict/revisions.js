@@ -0,0 +1,46 @@
+import { getDictionaryRepository } from "../../lib/dictionary/index.js";
+import { diffRevisions } from "../../lib/dictionary/revisions.js";
+import { requireRole } from "../../lib/auth.js";
+
+// GET /api/dict/revisions?id=xxx - revisões do item (mais antiga primeiro):
+//   { id, current_revision, revisions: [{ revision, at, actor, action, meta, data, current }] }
+// GET /api/dict/revisions?id=xxx&from=1[&to=3] - diferença entre duas revisões (to padrão: a atual):
+//   { id, from, to, changes: [{ field, from, to, added?, removed? }] }
+// Requer papel viewer.
+
+const parseRevision = (v) => (v === undefined || v === "" ? null : Number(v));
+const isValidRevision = (n) => n === null || (Number.isInteger(n) && n >= 1);
+
+export default async function handler(req, res) {
+  if (req.method !== "GET") {
+    return res.status(405).json({ error: "Método não permitido" });
+  }
+  if (!requireRole(req, res, "viewer")) return;
+
+  try {
+    const { id } = req.query || {};
+    if (!id) return res.status(400).json({ error: "Informe id" });
+    const from = parseRevision(req.query.from);
+    const toParam = parseRevision(req.query.to);
+    if (!isValidRevision(from) || !isValidRevision(toParam)) {
+      return res.status(400).json({ error: "from e to devem ser inteiros >= 1" });
+    }
+    const revisions = await getDictionaryRepository().listRevisions(id);
+    if (!revisions) return res.status(404).json({ error: "Não encontrado" });
+    const current = revisions.find(r => r.current)?.revision ?? null;
+
+    if (from === null) {
+      return res.status(200).json({ id, current_revision: current, revisions });
+    }
+
+    const to = toParam ?? current;
+    const byNumber = new Map(revisions.map(r => [r.revision, r]));
+    for (const n of [from, to]) {
+      if (!byNumber.has(n)) return res.status(404).json({ error: `Revisão ${n} não encontrada` });
+    }
+    return res.status(200).json({ id, from, to, changes: diffRevisions(byNumber.get(from), byNumber.get(to)) });
+  } catch (e) {
+    console.error("Erro em /api/dict/revisions:", e);
+    return res.status(500).json({ error: String(e?.message || e) });
+  }
+}
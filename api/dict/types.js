@@ -0,0 +1,15 @@
+import { CONTENT_TYPES } from "../../lib/dictionary/contentTypes.js";
+import { requireRole } from "../../lib/auth.js";
+
+// GET /api/dict/types - tipos de conteúdo e seus campos próprios (formulário do admin):
+//   { types: [{ tipo, fields: [{ key, label, type, unit?, options? }] }] }
+// Requer papel viewer.
+
+export default async function handler(req, res) {
+  if (req.method !== "GET") {
+    return res.status(405).json({ error: "Método não permitido" });
+  }
+  if (!requireRole(req, res, "viewer")) return;
+
+  return res.status(200).json({ types: CONTENT_TYPES.map(({ tipo, fields }) => ({ tipo, fields })) });
+}
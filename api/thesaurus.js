@@ -0,0 +1,77 @@
+import { loadThesaurus, saveThesaurus, validateThesaurusEntry, expandQuery } from "../lib/thesaurus.js";
+import { getDictionaryRepository, genId } from "../lib/dictionary/index.js";
+import { requireRole } from "../lib/auth.js";
+
+// CRUD do tesauro (data/thesaurus.json). Requer sessão do admin: leitura com papel viewer,
+// escrita com editor. Escritas vão para a auditoria (GET /api/audit?entity=thesaurus).
+
+export default async function handler(req, res) {
+  const { method } = req;
+  const { id, q } = req.query || {};
+
+  try {
+    const isWrite = method === "POST" || method === "PUT" || method === "DELETE";
+    const user = requireRole(req, res, isWrite ? "editor" : "viewer");
+    if (!user) return;
+    const audit = (fields) => getDictionaryRepository().recordAudit({ ...fields, entity: "thesaurus", actor: user });
+
+    // GET /api/thesaurus?q=... - pré-visualiza a expansão de uma pergunta
+    if (method === "GET" && q) {
+      const expansion = await expandQuery(String(q));
+      return res.status(200).json(expansion);
+    }
+
+    // GET /api/thesaurus - lista todos
+    if (method === "GET" && !id) {
+      const entries = await loadThesaurus();
+      return res.status(200).json(entries);
+    }
+
+    // GET /api/thesaurus?id=xxx - busca um
+    if (method === "GET" && id) {
+      const entries = await loadThesaurus();
+      const found = entries.find(e => e.id === id);
+      if (!found) return res.status(404).json({ error: "Não encontrado" });
+      return res.status(200).json(found);
+    }
+
+    // POST /api/thesaurus - criar
+    if (method === "POST") {
+      const v = validateThesaurusEntry(req.body || {});
+      if (!v.ok) return res.status(400).json({ error: v.error });
+      const entries = await loadThesaurus();
+      const item = { id: genId(), ...v.value };
+      await saveThesaurus([...entries, item]);
+      await audit({ action: "create", entityId: item.id, after: item });
+      return res.status(201).json(item);
+    }
+
+    // PUT /api/thesaurus?id=xxx - atualizar
+    if (method === "PUT" && id) {
+      const v = validateThesaurusEntry(req.body || {});
+      if (!v.ok) return res.status(400).json({ error: v.error });
+      const entries = await loadThesaurus();
+      const idx = entries.findIndex(e => e.id === id);
+      if (idx === -1) return res.status(404).json({ error: "Não encontrado" });
+      const updated = { ...entries[idx], ...v.value };
+      await saveThesaurus(entries.map((e, i) => (i === idx ? updated : e)));
+      await audit({ action: "update", entityId: id, before: entries[idx], after: updated });
+      return res.status(200).json(updated);
+    }
+
+    // DELETE /api/thesaurus?id=xxx - excluir
+    if (method === "DELETE" && id) {
+      const entries = await loadThesaurus();
+      const found = entries.find(e => e.id === id);
+      if (!found) return res.status(404).json({ error: "Não encontrado" });
+      await saveThesaurus(entries.filter(e => e.id !== id));
+      await audit({ action: "delete", entityId: id, before: found });
+      return res.status(200).json({ ok: true });
+    }
+
+    return res.status(405).json({ error: "Método não permitido" });
+  } catch (e) {
+    console.error("Erro em /api/thesaurus:", e);
+    return res.status(500).json({ error: String(e?.message || e) });
+  }
+}
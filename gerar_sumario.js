@@ -8,12 +8,13 @@
 import fs from "fs/promises";
 import path from "path";
 import OpenAI from "openai";
+import { validateBookData } from "./lib/ingest.js";
+import { readStoredEmbeddings } from "./lib/embeddingStore.js";
+import { EMB_FILES, loadBookPages } from "./lib/corpus.js";
 
 const openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
 
 const DATA_DIR = path.join(process.cwd(), "data");
-const BOOK_PATH = path.join(DATA_DIR, "abramede_texto.json");
-const EMB_PATH = path.join(DATA_DIR, "abramede_embeddings.json");
 const OUTPUT_PATH = path.join(DATA_DIR, "sumario_final.json"); // ajuste: escrever sumario_final.json
 const ORIGINAL_SUMMARY_PATH = path.join(DATA_DIR, "sumario_original.json"); // sumário (TOC) original
 
@@ -214,14 +215,16 @@ function assignTopicsToSections(mergedTopics, sectionsIndex) {
 
 async function main() {
   console.log("📘 Lendo arquivo do livro e embeddings...");
-  const bookRaw = await fs.readFile(BOOK_PATH, "utf8");
-  const pages = JSON.parse(bookRaw);
+  const { pages } = await loadBookPages();
 
-  const embRaw = await fs.readFile(EMB_PATH, "utf8");
-  const embeddings = JSON.parse(embRaw);
+  const { header, embeddings } = await readStoredEmbeddings(EMB_FILES);
 
-  if (pages.length !== embeddings.length)
-    console.warn("⚠️ Quantidade de embeddings e páginas não bate exatamente.");
+  const validation = validateBookData(pages, embeddings, { meta: header, requireMeta: false, allowGaps: true });
+  validation.warnings.forEach(w => console.warn(`⚠️ ${w}`));
+  if (!validation.ok) {
+    validation.errors.forEach(e => console.error(`❌ ${e}`));
+    throw new Error("Livro e embeddings inconsistentes; rode npm run ingest antes de gerar o sumário.");
+  }
 
   // Monta blocos de páginas consecutivas (para contexto mais longo)
   const blocks = [];
@@ -0,0 +1,125 @@
+import crypto from "crypto";
+import fs from "fs/promises";
+import path from "path";
+
+// Autenticação do admin do dicionário.
+// Usuários: ADMIN_USERS (JSON, para deploys sem disco gravável) ou data/admin_users.json,
+// gerenciados por scripts/admin-user.js: [{ email, name, role, password_hash }].
+// Papéis: "viewer" (consulta e histórico) e "editor" (também cria, altera, exclui e importa).
+// Sessão: token assinado (HMAC) em cookie HttpOnly ou em Authorization: Bearer, sem estado no
+// servidor (funciona com várias instâncias, desde que todas usem o mesmo ADMIN_SESSION_SECRET).
+
+export const ADMIN_USERS_PATH = path.join(process.cwd(), "data", "admin_users.json");
+export const ROLES = ["viewer", "editor"];
+export const SESSION_COOKIE = "admin_session";
+const SESSION_TTL_MS = 12 * 60 * 60 * 1000;
+
+let sessionSecret = null;
+function getSessionSecret() {
+	if (!sessionSecret) {
+		sessionSecret = process.env.ADMIN_SESSION_SECRET;
+		if (!sessionSecret) {
+			console.warn("⚠️ ADMIN_SESSION_SECRET não definido: sessões do admin valem só até o servidor reiniciar");
+			sessionSecret = crypto.randomBytes(32).toString("hex");
+		}
+	}
+	return sessionSecret;
+}
+
+export function hashPassword(password) {
+	const salt = crypto.randomBytes(16);
+	const hash = crypto.scryptSync(String(password), salt, 64);
+	return `scrypt$${salt.toString("base64")}$${hash.toString("base64")}`;
+}
+
+export function verifyPassword(password, stored) {
+	const [scheme, salt, hash] = String(stored || "").split("$");
+	if (scheme !== "scrypt" || !salt || !hash) return false;
+	const expected = Buffer.from(hash, "base64");
+	const actual = crypto.scryptSync(String(password), Buffer.from(salt, "base64"), expected.length);
+	return crypto.timingSafeEqual(actual, expected);
+}
+
+export async function loadAdminUsers() {
+	if (process.env.ADMIN_USERS) return JSON.parse(process.env.ADMIN_USERS);
+	try {
+		return JSON.parse(await fs.readFile(ADMIN_USERS_PATH, "utf8"));
+	} catch (e) {
+		if (e?.code === "ENOENT") return [];
+		throw e;
+	}
+}
+
+// Usuário autenticado por email/senha (sem o hash), ou null
+export async function authenticate(email, password) {
+	const wanted = String(email || "").trim().toLowerCase();
+	const user = (await loadAdminUsers()).find(u => String(u.email).toLowerCase() === wanted);
+	// Compara mesmo sem usuário, para não revelar quais emails existem pelo tempo de resposta
+	const ok = verifyPassword(password, user?.password_hash || hashPassword("x"));
+	if (!user || !ok || !ROLES.includes(user.role)) return null;
+	return { email: user.email, name: user.name || user.email, role: user.role };
+}
+
+const sign = (data) => crypto.createHmac("sha256", getSessionSecret()).update(data).digest("base64url");
+
+export function createSessionToken(user) {
+	const payload = Buffer.from(JSON.stringify({ ...user, exp: Date.now() + SESSION_TTL_MS })).toString("base64url");
+	return `${payload}.${sign(payload)}`;
+}
+
+function verifySessionToken(token) {
+	const [payload, sig] = String(token || "").split(".");
+	if (!payload || !sig) return null;
+	const expected = Buffer.from(sign(payload));
+	const given = Buffer.from(sig);
+	if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) return null;
+	try {
+		const data = JSON.parse(Buffer.from(payload, "base64url").toString("utf8"));
+		if (!data.exp || data.exp < Date.now() || !ROLES.includes(data.role)) return null;
+		return { email: data.email, name: data.name, role: data.role };
+	} catch {
+		return null;
+	}
+}
+
+function readCookie(req, name) {
+	for (const part of String(req.headers?.cookie || "").split(";")) {
+		const [k, ...v] = part.trim().split("=");
+		if (k === name) return decodeURIComponent(v.join("="));
+	}
+	return null;
+}
+
+// Usuário da sessão da requisição (cookie ou Bearer), ou null
+export function getSessionUser(req) {
+	const auth = String(req.headers?.authorization || "");
+	const token = auth.startsWith("Bearer ") ? auth.slice(7) : readCookie(req, SESSION_COOKIE);
+	return token ? verifySessionToken(token) : null;
+}
+
+export function setSessionCookie(req, res, token) {
+	const secure = req.headers?.["x-forwarded-proto"] === "https" ? "; Secure" : "";
+	res.setHeader("Set-Cookie", `${SESSION_COOKIE}=${encodeURIComponent(token)}; Path=/; HttpOnly; SameSite=Lax; Max-Age=${SESSION_TTL_MS / 1000}${secure}`);
+}
+
+export function clearSessionCookie(res) {
+	res.setHeader("Set-Cookie", `${SESSION_COOKIE}=; Path=/; HttpOnly; SameSite=Lax; Max-Age=0`);
+}
+
+/**
+ * Exige sessão com pelo menos o papel indicado ("viewer" < "editor").
+ * Retorna o usuário, ou responde 401/403 e retorna null:
+ *   const user = requireRole(req, res, "editor"); if (!user) return;
+ */
+export function requireRole(req, res, role) {
+	const user = getSessionUser(req);
+	if (!user) {
+		res.status(401).json({ error: "Faça login para continuar" });
+		return null;
+	}
+	if (ROLES.indexOf(user.role) < ROLES.indexOf(role)) {
+		res.status(403).json({ error: `Requer papel ${role}` });
+		return null;
+	}
+	return user;
+}
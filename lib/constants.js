@@ -5,3 +5,49 @@ export const TRANSCRIBE_MODEL = "gpt-4o-mini-transcribe";
 // Limites para recomendação do dicionário
 export const DICT_MAX_CANDIDATES = 20;
 export const DICT_MAX_RECOMMEND = 5;
+// Recomendação por embedding: similaridade mínima (cosseno) para recomendar sem o rerank do LLM,
+// e peso da similaridade com os caminhos do sumário casados com a pergunta
+export const DICT_MIN_SIMILARITY = Number(process.env.DICT_MIN_SIMILARITY) || 0.3;
+export const DICT_PATH_WEIGHT = 0.3;
+// Bônus no ranking para itens com tag igual a uma categoria/tópico dos caminhos do sumário casados
+export const DICT_TAG_BOOST = 0.2;
+// Prioridade do item: peso multiplicado na pontuação do ranking (sem prioridade = 1)
+export const DICT_PRIORITY_DEFAULT = 1;
+export const DICT_PRIORITY_MIN = 0.1;
+export const DICT_PRIORITY_MAX = 5;
+// Bônus no ranking para itens de campanha (campo campaign preenchido)
+export const DICT_CAMPAIGN_BOOST = 0.1;
+// Rerank final pelo LLM entre os candidatos do ranking (opcional)
+export const DICT_LLM_RERANK = /^(1|true|sim)$/i.test(process.env.DICT_LLM_RERANK || "");
+
+// Armazenamento do dicionário: "json" (data/dictionary.json), "sqlite" (data/dictionary.sqlite)
+// ou "supabase". Sem configuração: Supabase se SUPABASE_URL estiver definido, senão JSON local.
+export const DICT_BACKEND = process.env.DICT_BACKEND || (process.env.SUPABASE_URL ? "supabase" : "json");
+// Validade da lista do dicionário em memória usada nas recomendações (escritas locais invalidam na hora)
+export const DICT_CACHE_TTL_MS = Number(process.env.DICT_CACHE_TTL_MS) || 60000;
+
+// Imagens do dicionário: "local" (data/dictionary-images, servidas por /api/dict/image) ou "supabase"
+// (bucket dictionary-images). Sem configuração: Supabase se SUPABASE_URL estiver definido, senão local.
+export const DICT_IMAGE_BACKEND = process.env.DICT_IMAGE_BACKEND || (process.env.SUPABASE_URL ? "supabase" : "local");
+// Limites do upload: tamanho do arquivo, maior lado e total de pixels (lidos do cabeçalho, antes de decodificar)
+export const DICT_IMAGE_MAX_BYTES = 5 * 1024 * 1024;
+export const DICT_IMAGE_MAX_SIDE = 6000;
+export const DICT_IMAGE_MAX_PIXELS = 24000000;
+// Variantes geradas no upload (WebP). thumb: card das recomendações (146x146, em 2x para telas densas)
+export const DICT_IMAGE_VARIANTS = {
+	thumb: { width: 292, height: 292, fit: "cover" }
+};
+
+// Provider de LLM/embeddings/transcrição: "openai" (padrão) ou "stub" (offline, determinístico)
+export const LLM_PROVIDER = process.env.LLM_PROVIDER || "openai";
+
+// Índice vetorial das páginas: "exact" (varredura completa) ou "ivf" (aproximado)
+export const VECTOR_INDEX_MODE = process.env.VECTOR_INDEX_MODE || "exact";
+export const VECTOR_INDEX_NLIST = Number(process.env.VECTOR_INDEX_NLIST) || 0; // 0 => sqrt(N)
+export const VECTOR_INDEX_NPROBE = Number(process.env.VECTOR_INDEX_NPROBE) || 0; // 0 => nlist/8
+// No escopo global com índice aproximado, quantas páginas seguem para o ranking híbrido
+export const VECTOR_GLOBAL_TOP_K = 300;
+
+// Citações não localizadas nas páginas do contexto (ou que não puderam ser conferidas):
+// "drop" (remove) ou "flag" (mantém sinalizada)
+export const QUOTE_FABRICATED_POLICY = process.env.QUOTE_FABRICATED_POLICY || "drop";
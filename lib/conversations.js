@@ -0,0 +1,108 @@
+import crypto from "crypto";
+import { CHAT_MODEL } from "./constants.js";
+import { seedFromString } from "./text.js";
+import { logSection, logObj, logOpenAIRequest, logOpenAIResponse } from "./logging.js";
+import { getProvider } from "./providers/index.js";
+
+// Conversas multi-turno mantidas em memória no servidor (por instância).
+// Guardamos só o necessário para reescrever perguntas de seguimento e
+// favorecer as páginas já usadas: pergunta, pergunta autônoma, páginas e caminhos do sumário.
+
+const MAX_TURNS = 6;
+const TTL_MS = 30 * 60 * 1000;
+const MAX_CONVERSATIONS = 1000;
+const ID_RE = /^[a-z0-9-]{8,64}$/i;
+
+const conversations = new Map(); // id -> { turns: [], updatedAt }
+
+function prune(now = Date.now()) {
+	for (const [id, c] of conversations) {
+		if (now - c.updatedAt > TTL_MS) conversations.delete(id);
+	}
+	// Map preserva ordem de inserção: remove as menos recentes
+	while (conversations.size > MAX_CONVERSATIONS) {
+		conversations.delete(conversations.keys().next().value);
+	}
+}
+
+// Reaproveita o id recebido quando válido; senão cria um novo
+export function resolveConversationId(raw) {
+	const id = String(raw || "").trim();
+	return ID_RE.test(id) ? id : crypto.randomUUID();
+}
+
+export function getTurns(id) {
+	prune();
+	return conversations.get(id)?.turns || [];
+}
+
+export function appendTurn(id, turn) {
+	const prev = conversations.get(id);
+	const turns = [...(prev?.turns || []), { ...turn, at: new Date().toISOString() }].slice(-MAX_TURNS);
+	conversations.delete(id);
+	conversations.set(id, { turns, updatedAt: Date.now() });
+	prune();
+}
+
+/**
+ * Reescreve uma pergunta de seguimento ("e em crianças?", "qual a dose?") como
+ * pergunta autônoma usando os turnos anteriores. Sem histórico, devolve a própria pergunta.
+ * Retorna { question, is_follow_up }.
+ */
+export async function rewriteFollowUp(question, turns) {
+	if (!turns.length) return { question, is_follow_up: false };
+	try {
+		logSection("Conversa - reescrita de pergunta de seguimento");
+		const history = turns
+			.map((t, i) => `${i + 1}. ${t.standalone_question || t.question}`)
+			.join("\n");
+
+		const system = `
+Você reescreve perguntas de seguimento de uma conversa sobre um livro de medicina de emergência.
+- Se a pergunta atual depende do histórico (pronomes, elipses, "e em...", "qual a dose?"), reescreva-a como uma pergunta completa e autônoma, em português, mantendo o tema do histórico.
+- Se a pergunta atual já é autônoma ou muda de assunto, devolva-a sem alterações.
+- Não responda a pergunta e não acrescente informações.
+Responda EXCLUSIVAMENTE em JSON:
+{"standalone_question": "...", "is_follow_up": true|false}
+`.trim();
+
+		const user = `
+Histórico (perguntas anteriores, da mais antiga para a mais recente):
+${history}
+
+Pergunta atual: """${question}"""
+`.trim();
+
+		const chatReq = {
+			model: CHAT_MODEL,
+			messages: [
+				{ role: "system", content: system },
+				{ role: "user", content: user }
+			],
+			temperature: 0,
+			top_p: 1,
+			max_tokens: 200,
+			seed: seedFromString(history + "|" + question + "|rewrite")
+		};
+
+		logOpenAIRequest("chat.completions.create [rewrite]", chatReq);
+		const t0 = Date.now();
+		const resp = await getProvider().chat(chatReq, { purpose: "rewrite" });
+		logOpenAIResponse("chat.completions.create [rewrite]", resp, { duration_ms: Date.now() - t0 });
+
+		const raw = resp.choices?.[0]?.message?.content?.trim() || "{}";
+		const m = raw.match(/\{[\s\S]*\}/);
+		const parsed = JSON.parse(m ? m[0] : raw);
+		const rewritten = String(parsed.standalone_question || "").trim();
+		const result = {
+			question: rewritten || question,
+			is_follow_up: Boolean(parsed.is_follow_up) && Boolean(rewritten)
+		};
+		logObj("rewrite", result);
+		return result;
+	} catch (e) {
+		logSection("Conversa - erro na reescrita");
+		logObj("error", String(e));
+		return { question, is_follow_up: false };
+	}
+}
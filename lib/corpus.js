@@ -0,0 +1,263 @@
+import fs from "fs";
+import fsp from "fs/promises";
+import path from "path";
+import { seedFromString } from "./text.js";
+import { createVectorIndex, createVectorIndexFromMatrix } from "./vectorIndex.js";
+import { createBm25Index } from "./lexical.js";
+import { passageText, passagePages, checkPassagesFile } from "./passages.js";
+import { readEmbeddingFile, openEmbeddingMatrix, openBinaryEmbeddings, assertCompatible, diffEmbeddings } from "./embeddingStore.js";
+import { embeddingModelId } from "./providers/index.js";
+import { VECTOR_INDEX_MODE, VECTOR_INDEX_NLIST, VECTOR_INDEX_NPROBE } from "./constants.js";
+
+// Dados do livro mantidos em memória entre requisições.
+// Cada store carrega seus arquivos uma vez, observa o diretório e, quando algum
+// arquivo muda, monta um snapshot novo por completo antes de trocar a referência
+// (requisições em andamento continuam com o snapshot que já obtiveram).
+
+export const DATA_DIR = path.join(process.cwd(), "data");
+export const BOOK_PATH = path.join(DATA_DIR, "abramede_texto.json");
+// Texto normalizado (scripts/normalize-book.js): quando existe, substitui o bruto em tudo
+export const CLEAN_BOOK_PATH = path.join(DATA_DIR, "abramede_texto_limpo.json");
+export const NORMALIZE_REPORT_PATH = path.join(DATA_DIR, "abramede_normalizacao_relatorio.json");
+export const NORMALIZE_CONFIG_PATH = path.join(DATA_DIR, "normalizacao.json");
+export const EMB_PATH = path.join(DATA_DIR, "abramede_embeddings.json");
+// Formato binário dos embeddings (scripts/convert-embeddings.js): preferido quando existe
+export const EMB_BIN_PATH = path.join(DATA_DIR, "abramede_embeddings.f32");
+export const EMB_INDEX_PATH = path.join(DATA_DIR, "abramede_embeddings.index.json");
+export const EMB_FILES = { jsonPath: EMB_PATH, binPath: EMB_BIN_PATH, indexPath: EMB_INDEX_PATH };
+// Legado: metadados avulsos de ingestões anteriores ao cabeçalho no arquivo de embeddings
+export const EMB_META_PATH = path.join(DATA_DIR, "abramede_embeddings.meta.json");
+export const SUM_PATH = path.join(DATA_DIR, "sumario_final.json");
+// Opcional: passagens com embeddings (gerado por scripts/build-passages.js)
+export const PASSAGES_PATH = path.join(DATA_DIR, "abramede_passagens.json");
+
+const RELOAD_DEBOUNCE_MS = 500;
+
+async function readFileWithStat({ path: filePath, optional = false, lazy = false, unlessExists }) {
+	// Alternativa a outro arquivo: não lê (nem faz parse) quando o preferido existe
+	if (unlessExists && fs.existsSync(unlessExists)) return { data: null, stat: { mtimeMs: 0, size: 0 } };
+	try {
+		if (lazy) {
+			const file = openEmbeddingMatrix(filePath);
+			return { data: file, stat: { mtimeMs: file.mtimeMs, size: file.size } };
+		}
+		const [raw, stat] = await Promise.all([fsp.readFile(filePath, "utf8"), fsp.stat(filePath)]);
+		return { data: JSON.parse(raw), stat: { mtimeMs: stat.mtimeMs, size: stat.size } };
+	} catch (e) {
+		if (optional && e?.code === "ENOENT") return { data: null, stat: { mtimeMs: 0, size: 0 } };
+		throw e;
+	}
+}
+
+function versionOf(stats) {
+	const key = Object.entries(stats).map(([name, s]) => `${name}:${s.mtimeMs}:${s.size}`).join("|");
+	return seedFromString(key).toString(36);
+}
+
+// files: { chave: caminho | { path, optional, lazy, unlessExists } } (lazy => matriz aberta para
+// leituras posicionais, sem ler o arquivo; ver openEmbeddingMatrix)
+function createFileStore(name, files, build) {
+	const specs = Object.entries(files).map(([key, f]) => [key, typeof f === "string" ? { path: f } : f]);
+	let current = null;
+	let loading = null;
+	let watcher = null;
+	let timer = null;
+
+	async function load() {
+		const entries = await Promise.all(specs.map(async ([key, spec]) => [key, await readFileWithStat(spec)]));
+		const data = {};
+		const stats = {};
+		for (const [key, { data: d, stat }] of entries) {
+			data[key] = d;
+			stats[key] = stat;
+		}
+		return Object.freeze({
+			...build(data),
+			version: versionOf(stats),
+			loadedAt: new Date().toISOString(),
+			files: stats
+		});
+	}
+
+	function scheduleReload() {
+		clearTimeout(timer);
+		timer = setTimeout(async () => {
+			try {
+				const next = await load();
+				if (next.version !== current?.version) {
+					current = next;
+					console.log(`[corpus] ${name} recarregado (versão ${next.version})`);
+				}
+			} catch (e) {
+				// Arquivo em escrita ou inválido: mantém o snapshot anterior
+				console.warn(`[corpus] falha ao recarregar ${name}:`, String(e?.message || e));
+			}
+		}, RELOAD_DEBOUNCE_MS);
+		timer.unref?.();
+	}
+
+	function watch() {
+		if (watcher) return;
+		const names = new Set(specs.map(([, spec]) => path.basename(spec.path)));
+		try {
+			watcher = fs.watch(DATA_DIR, (event, filename) => {
+				if (!filename || names.has(String(filename))) scheduleReload();
+			});
+			watcher.unref?.();
+			watcher.on("error", () => {});
+		} catch {
+			// Ambientes sem suporte a watch (ex.: FS somente leitura): apenas cache
+		}
+	}
+
+	return {
+		async get() {
+			if (current) return current;
+			if (!loading) {
+				loading = load()
+					.then(snapshot => {
+						current = snapshot;
+						watch();
+						return snapshot;
+					})
+					.finally(() => { loading = null; });
+			}
+			return loading;
+		},
+		version() {
+			return current?.version || null;
+		}
+	};
+}
+
+const corpusFiles = {
+	book: { path: BOOK_PATH, unlessExists: CLEAN_BOOK_PATH },
+	cleanBook: { path: CLEAN_BOOK_PATH, optional: true },
+	embeddings: { path: EMB_PATH, optional: true, unlessExists: EMB_INDEX_PATH },
+	embeddingIndex: { path: EMB_INDEX_PATH, optional: true },
+	embeddingMatrix: { path: EMB_BIN_PATH, optional: true, lazy: true },
+	sumario: SUM_PATH,
+	passages: { path: PASSAGES_PATH, optional: true }
+};
+
+// Binário (matriz + índice) quando existe; senão o JSON.
+// Contrato de embByPage/getEmbedding: devolvem o vetor gravado (não normalizado). No binário,
+// cada get() lê a linha do disco; o índice vetorial tem a própria cópia, normalizada.
+function openEmbeddings({ embeddings, embeddingIndex, embeddingMatrix }) {
+	if (embeddingIndex && embeddingMatrix) return openBinaryEmbeddings(embeddingMatrix, embeddingIndex);
+	if (embeddingIndex || embeddingMatrix) throw new Error("Embeddings binários incompletos (falta a matriz ou o índice)");
+	if (!embeddings) throw new Error(`Nenhum arquivo de embeddings em ${DATA_DIR}`);
+	const file = readEmbeddingFile(embeddings);
+	return { ...file, embByPage: new Map(file.embeddings.map(pe => [pe.pagina, pe.embedding])) };
+}
+
+const corpusStore = createFileStore("corpus", corpusFiles, ({ book: rawBook, cleanBook, sumario, passages, ...embeddingData }) => {
+	const book = cleanBook || rawBook;
+	const indexOptions = { mode: VECTOR_INDEX_MODE, nlist: VECTOR_INDEX_NLIST, nprobe: VECTOR_INDEX_NPROBE };
+	// Recusa vetores de outro modelo/dimensão (misturá-los com o embedding da consulta daria ranking sem sentido)
+	const embFile = openEmbeddings(embeddingData);
+	const model = embeddingModelId();
+	assertCompatible(embFile, { model });
+	const { embeddings, embByPage } = embFile;
+	if (!embFile.header) {
+		console.warn(`[corpus] embeddings sem cabeçalho: modelo não verificado (rode npm run migrate:embeddings)`);
+	} else {
+		const stale = diffEmbeddings(embFile, book, { model });
+		if (stale.changed.length || stale.missing.length) {
+			console.warn(`[corpus] embeddings desatualizados: ${stale.changed.length} página(s) com texto alterado, ${stale.missing.length} sem embedding (rode npm run migrate:embeddings)`);
+		}
+	}
+	const pageMap = new Map(book.map(p => [p.pagina, p.texto]));
+	// Binário: a matriz é lida uma vez, direto para o buffer do índice (única cópia em memória)
+	const vectorIndex = embFile.readMatrix
+		? createVectorIndexFromMatrix(embFile.readMatrix(), embFile.rows, embFile.dimension, indexOptions)
+		: createVectorIndex(embeddings.map(pe => ({ id: pe.pagina, vector: pe.embedding })), indexOptions);
+	const lexicalIndex = createBm25Index(book.map(p => ({ id: p.pagina, text: p.texto })));
+
+	// Passagens (quando o arquivo existe e confere com o modelo, a dimensão e o texto atual):
+	// recuperação em nível de trecho. Arquivo desatualizado é ignorado (modo página).
+	let passageList = null;
+	let passageById = new Map();
+	let passagesByPage = new Map();
+	let passageIndex = null;
+	let passageLexicalIndex = null;
+	const passageCheck = passages ? checkPassagesFile(passages, { model, dimension: vectorIndex.dim, pages: book }) : null;
+	if (passageCheck && !passageCheck.ok) {
+		console.warn(`[corpus] passagens ignoradas, usando páginas: ${passageCheck.error} (rode npm run build:passages)`);
+	}
+	if (passageCheck?.ok && passageCheck.value.length) {
+		const validPassages = passageCheck.value;
+		passageList = validPassages.map(p => {
+			const item = { id: p.id, spans: p.spans };
+			return { ...item, pages: passagePages(item), texto: passageText(item, pageMap) };
+		});
+		passageById = new Map(passageList.map(p => [p.id, p]));
+		for (const p of passageList) {
+			for (const pg of p.pages) {
+				if (!passagesByPage.has(pg)) passagesByPage.set(pg, []);
+				passagesByPage.get(pg).push(p.id);
+			}
+		}
+		passageIndex = createVectorIndex(validPassages.map(p => ({ id: p.id, vector: p.embedding })), indexOptions);
+		passageLexicalIndex = createBm25Index(passageList.map(p => ({ id: p.id, text: p.texto })));
+	}
+
+	return {
+		pages: book,
+		pageEmbeddings: embeddings,
+		embeddingHeader: embFile.header,
+		textSource: cleanBook ? "clean" : "raw",
+		sumario,
+		pageMap,
+		embByPage,
+		vectorIndex,
+		lexicalIndex,
+		passages: passageList,
+		passageById,
+		passageIndex,
+		passageLexicalIndex,
+		getPageText: (pagina) => pageMap.get(pagina) || "",
+		getEmbedding: (pagina) => embByPage.get(pagina) || null,
+		hasPage: (pagina) => pageMap.has(pagina),
+		// Passagens contidas (total ou parcialmente) nas páginas informadas
+		passagesForPages: (pageList) => Array.from(new Set(pageList.flatMap(pg => passagesByPage.get(pg) || [])))
+	};
+});
+
+const sumarioStore = createFileStore("sumario", { sumario: SUM_PATH }, ({ sumario }) => ({ sumario }));
+
+// Páginas do livro para os scripts: texto normalizado quando existe, senão o bruto
+export async function loadBookPages() {
+	for (const [filePath, source] of [[CLEAN_BOOK_PATH, "clean"], [BOOK_PATH, "raw"]]) {
+		try {
+			return { pages: JSON.parse(await fsp.readFile(filePath, "utf8")), source };
+		} catch (e) {
+			if (e?.code !== "ENOENT" || source === "raw") throw e;
+		}
+	}
+}
+
+// Livro + embeddings + sumário (snapshot consistente entre os três)
+export function getCorpus() {
+	return corpusStore.get();
+}
+
+// Apenas o sumário (evita carregar embeddings para rotas leves como /api/categorias)
+export async function getSumario() {
+	return (await sumarioStore.get()).sumario;
+}
+
+// Categorias únicas do sumário, em ordem alfabética (tags do dicionário)
+export async function getCategorias() {
+	const set = new Set();
+	for (const secao of await getSumario()) {
+		for (const cat of secao.categorias || []) {
+			if (cat.categoria) set.add(cat.categoria);
+		}
+	}
+	return Array.from(set).sort();
+}
+
+export function getCorpusVersion() {
+	return corpusStore.version();
+}
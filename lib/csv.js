@@ -0,0 +1,60 @@
+// CSV mínimo (RFC 4180): campos entre aspas com aspas dobradas, quebras de linha dentro
+// de aspas, CRLF/LF. Planilhas em português costumam exportar com ";" — detectado pelo cabeçalho.
+
+export function detectDelimiter(text) {
+	const firstLine = String(text).split(/\r?\n/, 1)[0] || "";
+	const count = (ch) => firstLine.split(ch).length - 1;
+	return [";", "\t", ","].reduce((best, ch) => (count(ch) > count(best) ? ch : best), ",");
+}
+
+// Texto => lista de linhas (listas de strings); linhas totalmente vazias são ignoradas
+export function parseCsv(text, { delimiter = detectDelimiter(text) } = {}) {
+	const src = String(text).replace(/^\ufeff/, "");
+	const rows = [];
+	let row = [];
+	let field = "";
+	let quoted = false;
+	for (let i = 0; i < src.length; i++) {
+		const ch = src[i];
+		if (quoted) {
+			if (ch === '"' && src[i + 1] === '"') {
+				field += '"';
+				i++;
+			} else if (ch === '"') {
+				quoted = false;
+			} else {
+				field += ch;
+			}
+		} else if (ch === '"' && field === "") {
+			quoted = true;
+		} else if (ch === delimiter) {
+			row.push(field);
+			field = "";
+		} else if (ch === "\n" || ch === "\r") {
+			if (ch === "\r" && src[i + 1] === "\n") i++;
+			row.push(field);
+			rows.push(row);
+			row = [];
+			field = "";
+		} else {
+			field += ch;
+		}
+	}
+	if (quoted) throw new Error("CSV inválido: aspas não fechadas");
+	if (field !== "" || row.length) {
+		row.push(field);
+		rows.push(row);
+	}
+	return rows.filter(r => r.some(v => v.trim() !== ""));
+}
+
+const needsQuotes = (value, delimiter) => value.includes(delimiter) || /["\r\n]/.test(value) || /^\s|\s$/.test(value);
+
+// Lista de linhas => texto CSV (com BOM, para o Excel abrir em UTF-8)
+export function toCsv(rows, { delimiter = "," } = {}) {
+	const lines = rows.map(r => r.map(v => {
+		const s = v == null ? "" : String(v);
+		return needsQuotes(s, delimiter) ? `"${s.replace(/"/g, '""')}"` : s;
+	}).join(delimiter));
+	return "\ufeff" + lines.join("\r\n") + "\r\n";
+}
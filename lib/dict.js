@@ -1,21 +1,21 @@
-import { CHAT_MODEL, DICT_MAX_CANDIDATES, DICT_MAX_RECOMMEND } from "./constants.js";
-import { normalizeStr, countOccurrences } from "./text.js";
-import { seedFromString } from "./text.js";
+import {
+	CHAT_MODEL, EMB_MODEL, DICT_MAX_CANDIDATES, DICT_MAX_RECOMMEND, DICT_MIN_SIMILARITY, DICT_PATH_WEIGHT, DICT_TAG_BOOST, DICT_LLM_RERANK,
+	DICT_PRIORITY_DEFAULT, DICT_CAMPAIGN_BOOST
+} from "./constants.js";
+import { normalizeStr, countOccurrences, seedFromString } from "./text.js";
 import { logSection, logObj, logOpenAIRequest, logOpenAIResponse } from "./logging.js";
-import { openai } from "./openai.js";
-
-export function buildBaseUrl(req) {
-	const proto = req.headers["x-forwarded-proto"] || "http";
-	const host = req.headers.host || "localhost";
-	return `${proto}://${host}`;
-}
+import { getProvider, embeddingModelId } from "./providers/index.js";
+import { getDictionaryRepository } from "./dictionary/index.js";
+import { isItemActive } from "./dictionary/schedule.js";
+import { cosineSim } from "./similarity.js";
 
 function scoreDictItem(item, qTokens) {
 	const parts = [
 		item.titulo || "",
 		item.autor || "",
 		item.tipoConteudo || item.tipo_conteudo || "",
-		Array.isArray(item.tags) ? item.tags.join(" ") : ""
+		Array.isArray(item.tags) ? item.tags.join(" ") : "",
+		item.descricao || ""
 	];
 	const text = normalizeStr(parts.join(" | "));
 	let score = 0;
@@ -28,26 +28,151 @@ function scoreDictItem(item, qTokens) {
 	return score;
 }
 
-function pickTopDictCandidates(items, question, limit = DICT_MAX_CANDIDATES) {
-	const qNorm = normalizeStr(question);
-	const qTokens = Array.from(new Set(qNorm.split(/\W+/).filter(w => w && w.length > 2)));
-	const withScores = (items || []).map(it => ({ it, s: scoreDictItem(it, qTokens) }));
-	withScores.sort((a, b) => b.s - a.s);
-	return withScores.slice(0, limit).map(x => x.it);
+// Embeddings dos caminhos do sumário (estáveis): calculados uma vez por processo
+const pathEmbeddingCache = new Map();
+
+function pathText(p) {
+	return [p.secao, p.categoria, p.topico, p.subtopico].filter(Boolean).join(" > ");
+}
+
+async function embedPaths(paths) {
+	const texts = Array.from(new Set(paths.map(pathText).filter(Boolean)));
+	const missing = texts.filter(t => !pathEmbeddingCache.has(t));
+	if (missing.length) {
+		const resp = await getProvider().embed({ model: EMB_MODEL, input: missing });
+		missing.forEach((t, i) => pathEmbeddingCache.set(t, resp.data[i].embedding));
+	}
+	return texts.map(text => ({ text, embedding: pathEmbeddingCache.get(text) }));
+}
+
+// Nomes do sumário casados com a pergunta (seção, categoria, tópico, subtópico), normalizados.
+// As tags do dicionário vêm das categorias do sumário (/api/categorias).
+function pathNames(paths) {
+	const names = new Map();
+	for (const p of paths) {
+		for (const name of [p.categoria, p.topico, p.subtopico, p.secao]) {
+			const n = normalizeStr(String(name || "")).trim();
+			if (n && !names.has(n)) names.set(n, name);
+		}
+	}
+	return names;
+}
+
+const fmt = (x) => x.toFixed(2);
+
+// Peso do item no ranking: prioridade (multiplica) e bônus de campanha (soma), com os motivos
+function itemWeight(item) {
+	const priority = item.priority ?? DICT_PRIORITY_DEFAULT;
+	const campaignBoost = item.campaign ? DICT_CAMPAIGN_BOOST : 0;
+	const reasons = [];
+	if (priority !== DICT_PRIORITY_DEFAULT) reasons.push(`prioridade ${priority}`);
+	if (item.campaign) reasons.push(`campanha ${item.campaign}`);
+	return { priority, campaignBoost, reasons };
 }
 
-export async function recommendFromDictionary(req, question) {
+/**
+ * Ranking dos itens: similaridade do embedding do item com a pergunta e, havendo caminhos
+ * do sumário, com o caminho mais próximo (peso DICT_PATH_WEIGHT), mais DICT_TAG_BOOST se
+ * alguma tag do item é uma categoria/tópico desses caminhos. Itens sem embedding
+ * utilizável (modelo/dimensão diferentes, ou ainda não gerado) entram depois, se tiverem
+ * tag casada ou palavras da pergunta.
+ * relevance é essa pontuação; score aplica o peso do item: (relevance + DICT_CAMPAIGN_BOOST se houver
+ * campanha) x priority. O corte por DICT_MIN_SIMILARITY usa relevance (o peso só reordena).
+ * Retorna [{ item, score, relevance, question_sim, path_sim, matched_tags, keyword, reasons }] em ordem decrescente.
+ */
+export function rankDictItems(items, { question, queryEmbedding, paths = [], pathEmbeddings = [], model = embeddingModelId() }) {
+	const qTokens = Array.from(new Set(normalizeStr(question).split(/\W+/).filter(w => w && w.length > 2)));
+	const names = pathNames(paths);
+	const vector = [];
+	const fallback = [];
+	for (const item of items) {
+		const keyword = scoreDictItem(item, qTokens);
+		const matchedTags = (item.tags || []).filter(t => names.has(normalizeStr(String(t)).trim()));
+		const reasons = matchedTags.map(t => `tag ${t} casou com o sumário`);
+		const boost = matchedTags.length ? DICT_TAG_BOOST : 0;
+		const weight = itemWeight(item);
+		const emb = item.embedding;
+		if (emb && item.embeddingModel === model && emb.length === queryEmbedding.length) {
+			const questionSim = cosineSim(queryEmbedding, emb);
+			let pathSim = null;
+			let bestPath = null;
+			for (const pe of pathEmbeddings) {
+				const sim = cosineSim(pe.embedding, emb);
+				if (pathSim === null || sim > pathSim) {
+					pathSim = sim;
+					bestPath = pe.text;
+				}
+			}
+			const base = pathSim === null ? questionSim : (1 - DICT_PATH_WEIGHT) * questionSim + DICT_PATH_WEIGHT * pathSim;
+			if (questionSim >= DICT_MIN_SIMILARITY) reasons.push(`similar à pergunta (${fmt(questionSim)})`);
+			if (pathSim !== null && pathSim >= DICT_MIN_SIMILARITY) reasons.push(`similar a ${bestPath} (${fmt(pathSim)})`);
+			const relevance = base + boost;
+			const score = (relevance + weight.campaignBoost) * weight.priority;
+			vector.push({ item, score, relevance, question_sim: questionSim, path_sim: pathSim, matched_tags: matchedTags, keyword, reasons: [...reasons, ...weight.reasons] });
+		} else if (keyword > 0 || matchedTags.length) {
+			if (keyword > 0) reasons.push("palavras da pergunta no título/tags");
+			fallback.push({ item, score: null, relevance: null, question_sim: null, path_sim: null, matched_tags: matchedTags, keyword, reasons: [...reasons, ...weight.reasons] });
+		}
+	}
+	vector.sort((a, b) => b.score - a.score);
+	const fallbackKey = (r) => r.keyword * itemWeight(r.item).priority;
+	fallback.sort((a, b) => b.matched_tags.length - a.matched_tags.length || fallbackKey(b) - fallbackKey(a));
+	return [...vector, ...fallback];
+}
+
+const round3 = (x) => (x === null ? null : Math.round(x * 1000) / 1000);
+// Item para resposta/renderização: sem embedding, com os motivos da recomendação
+const publicItem = ({ embedding, embeddingModel, ...item }, reasons = []) => ({ ...item, reasons });
+
+/**
+ * Recomenda itens do dicionário para a pergunta (só os itens dentro da janela de exibição).
+ * queryEmbedding: embedding já calculado da pergunta (senão, é gerado aqui);
+ * paths: caminhos do sumário casados com a pergunta (semanticSearchSummary).
+ * Cada item devolvido traz reasons: por que foi recomendado (tag casada, similaridade...).
+ * Sem DICT_LLM_RERANK, fica com os melhores acima de DICT_MIN_SIMILARITY; com ele,
+ * o modelo escolhe entre os DICT_MAX_CANDIDATES primeiros.
+ */
+export async function recommendFromDictionary(question, { queryEmbedding = null, paths = [] } = {}) {
 	try {
-		const baseUrl = buildBaseUrl(req);
-		const res = await fetch(`${baseUrl}/api/dict`);
-		if (!res.ok) throw new Error(`GET /api/dict falhou: ${res.status}`);
-		const dictItems = await res.json();
-		if (!Array.isArray(dictItems) || dictItems.length === 0) return { raw: [] };
+		const now = Date.now();
+		const allItems = await getDictionaryRepository().listCached();
+		const dictItems = allItems.filter(it => isItemActive(it, now));
+		if (!dictItems.length) return { raw: [] };
 
 		logSection("Dicionário - total carregado");
 		logObj("count", dictItems.length);
+		logObj("outside_schedule", allItems.length - dictItems.length);
+		logObj("with_embedding", dictItems.filter(it => it.embedding && it.embeddingModel === embeddingModelId()).length);
+
+		const qEmb = queryEmbedding || (await getProvider().embed({ model: EMB_MODEL, input: question })).data[0].embedding;
+		const pathEmbeddings = paths.length ? await embedPaths(paths) : [];
+		const ranked = rankDictItems(dictItems, { question, queryEmbedding: qEmb, paths, pathEmbeddings });
+
+		logSection("Dicionário - ranking");
+		logObj("paths", pathEmbeddings.length);
+		logObj("top", ranked.slice(0, DICT_MAX_CANDIDATES).map(r => ({
+			id: r.item.id,
+			titulo: r.item.titulo,
+			score: round3(r.score),
+			relevance: round3(r.relevance),
+			question_sim: round3(r.question_sim),
+			path_sim: round3(r.path_sim),
+			matched_tags: r.matched_tags,
+			keyword: r.keyword
+		})));
+
+		if (!DICT_LLM_RERANK) {
+			const selected = ranked
+				.filter(r => r.relevance === null || r.relevance >= DICT_MIN_SIMILARITY)
+				.slice(0, DICT_MAX_RECOMMEND)
+				.map(r => publicItem(r.item, r.reasons));
+			logSection("Dicionário - selecionados");
+			logObj("selected", selected.map(x => ({ id: x.id, reasons: x.reasons })));
+			return { raw: selected };
+		}
 
-		const candidates = pickTopDictCandidates(dictItems, question, DICT_MAX_CANDIDATES);
+		const candidates = ranked.slice(0, DICT_MAX_CANDIDATES).map(r => publicItem(r.item, r.reasons));
+		if (!candidates.length) return { raw: [] };
 		logSection("Dicionário - candidatos enviados ao modelo");
 		logObj("candidates_count", candidates.length);
 
@@ -57,6 +182,7 @@ export async function recommendFromDictionary(req, question) {
 			autor: it.autor || "",
 			tipo: it.tipoConteudo || it.tipo_conteudo || "",
 			tags: Array.isArray(it.tags) ? it.tags : [],
+			descricao: (it.descricao || "").slice(0, 300),
 			link: it.link || "",
 			pago: !!it.pago
 		}));
@@ -92,7 +218,7 @@ ${JSON.stringify(slim, null, 2)}
 
 		logOpenAIRequest("chat.completions.create [dict]", chatReq);
 		const t0 = Date.now();
-		const resp = await openai.chat.completions.create(chatReq);
+		const resp = await getProvider().chat(chatReq, { purpose: "dict" });
 		const ms = Date.now() - t0;
 		logOpenAIResponse("chat.completions.create [dict]", resp, { duration_ms: ms });
 
@@ -109,12 +235,13 @@ ${JSON.stringify(slim, null, 2)}
 		const selected = ids
 			.map(id => candidates.find(c => c.id === id))
 			.filter(Boolean)
-			.slice(0, DICT_MAX_RECOMMEND);
+			.slice(0, DICT_MAX_RECOMMEND)
+			.map(c => ({ ...c, reasons: [...c.reasons, "escolhido pelo modelo"] }));
 
 		const finalSel = selected.length ? selected : candidates.slice(0, Math.min(3, candidates.length));
 
 		logSection("Dicionário - selecionados");
-		logObj("ids", finalSel.map(x => x.id));
+		logObj("selected", finalSel.map(x => ({ id: x.id, reasons: x.reasons })));
 
 		return { raw: finalSel };
 	} catch (e) {
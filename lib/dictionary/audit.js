@@ -0,0 +1,81 @@
+import crypto from "crypto";
+import { EDITABLE_FIELDS } from "./entry.js";
+
+// Trilha de auditoria das escritas do admin (dicionário e tesauro). Cada entrada:
+// { id, at, actor: { email, role } | null, action: "create" | "update" | "delete" | "restore" | "purge",
+//   entity: "dictionary" | "thesaurus", entity_id, before, after, meta }
+// before/after são itens da API (sem embedding); actor null = escrita sem sessão (scripts).
+// Os backends guardam e consultam as entradas (appendAudit / listAudit).
+
+export const AUDIT_ACTIONS = ["create", "update", "delete", "restore", "purge"];
+export const AUDIT_ENTITIES = ["dictionary", "thesaurus"];
+export const AUDIT_PAGE_SIZE = 50;
+export const AUDIT_PAGE_MAX = 200;
+
+export function buildAuditEntry({ action, actor = null, entity = "dictionary", entityId, before = null, after = null, meta = null }) {
+	return {
+		id: crypto.randomUUID(),
+		at: new Date().toISOString(),
+		actor: actor ? { email: actor.email, role: actor.role } : null,
+		action,
+		entity,
+		entity_id: entityId,
+		before,
+		after,
+		meta
+	};
+}
+
+// Valor para comparação: campos vazios ({}) equivalem a ausentes (revisões anteriores aos campos por tipo)
+const comparable = (v) => JSON.stringify(v && typeof v === "object" && !Array.isArray(v) && !Object.keys(v).length ? null : v ?? null);
+
+// Campos editáveis alterados entre before e after (para listar sem abrir o item inteiro)
+export function changedFields(before, after) {
+	return EDITABLE_FIELDS.filter(k => comparable(before?.[k]) !== comparable(after?.[k]));
+}
+
+/**
+ * Valida a query de GET /api/audit: entity (padrão dictionary), entityId, actor (email), action, limit, offset.
+ * Retorna { ok, value } ou { ok: false, error }.
+ */
+export function parseAuditQuery(query = {}) {
+	const action = query.action ? String(query.action) : null;
+	if (action && !AUDIT_ACTIONS.includes(action)) {
+		return { ok: false, error: `action deve ser ${AUDIT_ACTIONS.join(", ")}` };
+	}
+	const entity = query.entity ? String(query.entity) : "dictionary";
+	if (!AUDIT_ENTITIES.includes(entity)) {
+		return { ok: false, error: `entity deve ser ${AUDIT_ENTITIES.join(", ")}` };
+	}
+	const limit = query.limit === undefined ? AUDIT_PAGE_SIZE : Number(query.limit);
+	const offset = query.offset === undefined ? 0 : Number(query.offset);
+	if (!Number.isInteger(limit) || limit < 1 || limit > AUDIT_PAGE_MAX) {
+		return { ok: false, error: `limit deve ser um inteiro entre 1 e ${AUDIT_PAGE_MAX}` };
+	}
+	if (!Number.isInteger(offset) || offset < 0) return { ok: false, error: "offset deve ser um inteiro >= 0" };
+	return {
+		ok: true,
+		value: {
+			entity,
+			entityId: query.entityId ? String(query.entityId) : null,
+			actor: query.actor ? String(query.actor).trim().toLowerCase() : null,
+			action,
+			limit,
+			offset
+		}
+	};
+}
+
+// Filtro + paginação em memória (backends sem consulta própria), mais recentes primeiro.
+// entries em ordem de gravação: no mesmo milissegundo, a última gravada vem antes.
+export function pageAuditEntries(entries, { entity = "dictionary", entityId = null, actor = null, action = null, limit = AUDIT_PAGE_SIZE, offset = 0 } = {}) {
+	const matches = entries
+		.slice()
+		.reverse()
+		.filter(e => e.entity === entity
+			&& (!entityId || e.entity_id === entityId)
+			&& (!actor || String(e.actor?.email || "").toLowerCase() === actor)
+			&& (!action || e.action === action))
+		.sort((a, b) => String(b.at).localeCompare(String(a.at)));
+	return { items: matches.slice(offset, offset + limit), total: matches.length };
+}
@@ -0,0 +1,175 @@
+import { normalizeStr } from "../text.js";
+
+// Tipos de conteúdo do dicionário: cada tipo define seus campos próprios (item.campos),
+// editados no admin e mostrados como etiquetas nos cards das recomendações, e o botão do card.
+// Tipos de campo: integer, number, boolean, text, select (options) e price (reais).
+// A ordem é a do formulário e também a precedência ao reconhecer nomes antigos.
+// Um item de tipo desconhecido (ou sem tipo) não tem campos próprios.
+
+const MAX_TEXT = 120;
+const MAX_NUMBER = 100000;
+
+export const CONTENT_TYPES = [
+	{
+		tipo: "Preparatório TEME",
+		match: ["preparatorio teme"],
+		button: { label: "▶️ Assistir aula", kind: "accent" },
+		fields: [
+			{ key: "aulas", label: "Aulas", type: "integer" },
+			{ key: "cargaHoraria", label: "Carga horária", type: "number", unit: "h" },
+			{ key: "certificado", label: "Certificado", type: "boolean" },
+			{ key: "preco", label: "Preço", type: "price" }
+		]
+	},
+	{
+		tipo: "PodTEME",
+		match: ["podteme"],
+		button: { label: "🎧 Ouvir episódio", kind: "primary" },
+		fields: [
+			{ key: "episodio", label: "Episódio", type: "integer" },
+			{ key: "duracao", label: "Duração", type: "integer", unit: "min" },
+			{ key: "convidado", label: "Convidado", type: "text" }
+		]
+	},
+	{
+		tipo: "Instagram Post",
+		match: ["instagram"],
+		button: { label: "📱 Ver post", kind: "primary" },
+		fields: [
+			{ key: "formato", label: "Formato", type: "select", options: ["Post", "Carrossel", "Reels"] }
+		]
+	},
+	{
+		tipo: "Blog Post",
+		match: ["blog"],
+		button: { label: "📰 Ler artigo", kind: "primary" },
+		fields: [
+			{ key: "tempoLeitura", label: "Leitura", type: "integer", unit: "min" }
+		]
+	},
+	{
+		tipo: "Cursos Online",
+		match: ["curso"],
+		button: { label: "▶️ Acessar curso", kind: "accent", premiumLabel: "💎 Conhecer o curso", premiumKind: "premium" },
+		fields: [
+			{ key: "cargaHoraria", label: "Carga horária", type: "number", unit: "h" },
+			{ key: "formato", label: "Formato", type: "select", options: ["Aulas on-demand", "Ao vivo", "Híbrido"] },
+			{ key: "certificado", label: "Certificado", type: "boolean" },
+			{ key: "preco", label: "Preço", type: "price" }
+		]
+	}
+];
+
+const DEFAULT_BUTTON = { label: "🔗 Acessar conteúdo", kind: "primary", premiumKind: "premium" };
+
+// Tipo pelo nome exato ou, para cadastros antigos ("Curso online", "Podteme #12"), por trecho do nome
+export function findContentType(tipoRaw) {
+	const tipo = normalizeStr(String(tipoRaw || "")).trim();
+	if (!tipo) return null;
+	return CONTENT_TYPES.find(t => normalizeStr(t.tipo) === tipo)
+		|| CONTENT_TYPES.find(t => t.match.some(m => tipo.includes(m)))
+		|| null;
+}
+
+function parseBoolean(v) {
+	if (typeof v === "boolean") return v;
+	const l = normalizeStr(String(v)).trim();
+	if (["sim", "true", "1"].includes(l)) return true;
+	if (["nao", "false", "0"].includes(l)) return false;
+	return undefined;
+}
+
+// Um valor => { ok, value } (vazio vira null: o campo não é gravado)
+function coerceField(field, raw) {
+	if (raw === null || raw === undefined || raw === "") return { ok: true, value: null };
+	switch (field.type) {
+		case "integer":
+		case "number":
+		case "price": {
+			const n = typeof raw === "number" ? raw : Number(String(raw).trim().replace(",", "."));
+			if (!Number.isFinite(n) || n < 0 || n > MAX_NUMBER) return { ok: false, error: `${field.label} deve ser um número entre 0 e ${MAX_NUMBER}` };
+			if (field.type === "integer" && !Number.isInteger(n)) return { ok: false, error: `${field.label} deve ser um número inteiro` };
+			return { ok: true, value: field.type === "price" ? Math.round(n * 100) / 100 : n };
+		}
+		case "boolean": {
+			const b = parseBoolean(raw);
+			return b === undefined ? { ok: false, error: `${field.label} deve ser sim ou não` } : { ok: true, value: b };
+		}
+		case "select": {
+			const opt = field.options.find(o => normalizeStr(o) === normalizeStr(String(raw).trim()));
+			return opt ? { ok: true, value: opt } : { ok: false, error: `${field.label} deve ser ${field.options.join(", ")}` };
+		}
+		default: {
+			const s = String(raw).trim();
+			if (s.length > MAX_TEXT) return { ok: false, error: `${field.label} excede ${MAX_TEXT} caracteres` };
+			return { ok: true, value: s || null };
+		}
+	}
+}
+
+/**
+ * Valida os campos próprios do tipo (objeto ou JSON em texto, como vem da planilha).
+ * Campos vazios são descartados; campos que o tipo não define são erro.
+ * Retorna { ok: true, value: { [key]: valor } } ou { ok: false, error }.
+ */
+export function validateCampos(tipoConteudo, input) {
+	let raw = input;
+	if (typeof raw === "string") {
+		if (!raw.trim()) raw = {};
+		else {
+			try {
+				raw = JSON.parse(raw);
+			} catch {
+				return { ok: false, error: "campos deve ser um objeto JSON" };
+			}
+		}
+	}
+	if (raw == null) raw = {};
+	if (typeof raw !== "object" || Array.isArray(raw)) return { ok: false, error: "campos deve ser um objeto" };
+
+	const type = findContentType(tipoConteudo);
+	const fields = new Map((type?.fields || []).map(f => [f.key, f]));
+	const value = {};
+	for (const [key, v] of Object.entries(raw)) {
+		const field = fields.get(key);
+		if (!field) {
+			if (v === null || v === undefined || v === "") continue;
+			return { ok: false, error: `campo "${key}" não existe para o tipo ${type ? type.tipo : tipoConteudo || "(sem tipo)"}` };
+		}
+		const c = coerceField(field, v);
+		if (!c.ok) return c;
+		if (c.value !== null) value[key] = c.value;
+	}
+	return { ok: true, value };
+}
+
+const BRL = new Intl.NumberFormat("pt-BR", { style: "currency", currency: "BRL" });
+
+function formatField(field, v) {
+	if (field.type === "boolean") return v ? field.label : null;
+	if (field.type === "price") return v === 0 ? "Gratuito" : BRL.format(v);
+	if (field.key === "episodio") return `${field.label} ${v}`;
+	if (field.type === "select") return String(v);
+	const text = typeof v === "number" ? v.toLocaleString("pt-BR") : String(v);
+	return `${field.label}: ${text}${field.unit ? (field.unit === "h" ? "h" : ` ${field.unit}`) : ""}`;
+}
+
+// Etiquetas do card, na ordem definida pelo tipo ("Carga horária: 12h", "Certificado", "R$ 297,00")
+export function itemBadges(item) {
+	const type = findContentType(item.tipoConteudo || item.tipo_conteudo);
+	const campos = item.campos || {};
+	if (!type) return [];
+	return type.fields
+		.filter(f => campos[f.key] !== undefined && campos[f.key] !== null)
+		.map(f => formatField(f, campos[f.key]))
+		.filter(Boolean);
+}
+
+// Botão do card: { label, kind } do tipo; itens pagos usam a variante premium quando o tipo tem uma
+export function buttonForItem(item) {
+	const type = findContentType(item.tipoConteudo || item.tipo_conteudo);
+	const b = type?.button || DEFAULT_BUTTON;
+	return item.pago
+		? { label: b.premiumLabel || b.label, kind: b.premiumKind || b.kind }
+		: { label: b.label, kind: b.kind };
+}
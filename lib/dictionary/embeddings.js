@@ -0,0 +1,35 @@
+import { textHash } from "../ingest.js";
+import { embeddingModelId, embedTexts } from "../providers/index.js";
+import { parseEmbedding } from "./entry.js";
+
+// Embedding de cada item do dicionário, calculado ao salvar (não a cada pergunta).
+// Texto embutido: título, tipo, tags e descrição. O hash do texto e o modelo ficam
+// na linha para saber quando o embedding está desatualizado.
+
+export function dictItemText(item) {
+	return [
+		item.titulo,
+		item.tipoConteudo ? `Tipo: ${item.tipoConteudo}` : "",
+		item.tags?.length ? `Tags: ${item.tags.join(", ")}` : "",
+		item.descricao
+	].filter(Boolean).join("\n");
+}
+
+// true se a linha (armazenada) não tem embedding válido para o texto/modelo atuais
+export function isEmbeddingStale(row, item) {
+	return !parseEmbedding(row.embedding) ||
+		row.embedding_model !== embeddingModelId() ||
+		row.embedding_hash !== textHash(dictItemText(item));
+}
+
+// items no formato da API => [{ embedding, embedding_model, embedding_hash }] na mesma ordem
+export async function embedDictItems(items) {
+	if (!items.length) return [];
+	const texts = items.map(dictItemText);
+	const resp = await embedTexts(texts);
+	return texts.map((text, i) => ({
+		embedding: resp.embeddings[i],
+		embedding_model: resp.model,
+		embedding_hash: textHash(text)
+	}));
+}
@@ -0,0 +1,181 @@
+import { validateCampos } from "./contentTypes.js";
+import { DICT_PRIORITY_MIN, DICT_PRIORITY_MAX } from "../constants.js";
+
+// Validação e mapeamento dos itens do dicionário, compartilhados por todos os backends.
+// Formato da API (camelCase):
+//   { id, titulo, autor, tipoConteudo, descricao, pago, link, tags, imagemUrl, imagemThumbUrl, campos,
+//     activeFrom, activeUntil, priority, campaign, createdAt, updatedAt, revision, deletedAt, deletedBy }
+// Formato armazenado (linhas, snake_case, igual à tabela "dictionary" do Supabase):
+//   { id, titulo, autor, tipo_conteudo, descricao, pago, link, tags, imagem_url, imagem_thumb_url, campos,
+//     active_from, active_until, priority, campaign, created_at, updated_at, revision, deleted_at, deleted_by, embedding, embedding_model, embedding_hash }
+// O embedding (ver embeddings.js) é interno: não sai na API.
+// revision: número da revisão atual (ver revisions.js; 0 em itens anteriores ao histórico).
+// deleted_at/deleted_by: exclusão lógica (lixeira); o item só some de vez no purge.
+// imagem_thumb_url: miniatura gerada no upload (images/index.js); sem ela, usa-se a imagem inteira.
+// campos: campos próprios do tipo de conteúdo ({ cargaHoraria: 12, certificado: true }, ver contentTypes.js).
+// active_from/active_until: janela em que o item pode ser recomendado (ver schedule.js);
+// priority: peso no ranking (null = normal); campaign: rótulo da campanha de marketing.
+
+const URL_RE = /^https?:\/\/\S+/i;
+// Imagens também podem ser do armazenamento local, servidas pela própria API (/api/dict/image?key=...)
+const IMAGE_URL_RE = /^(?:https?:\/\/|\/(?!\/))\S+$/i;
+const MAX_DESCRICAO = 2000;
+const MAX_CAMPAIGN = 60;
+
+// Data/hora da janela de exibição => ISO (vazio => null; inválida => undefined)
+function parseInstant(value) {
+	if (value === null || value === undefined || String(value).trim() === "") return null;
+	const t = Date.parse(String(value).trim());
+	return Number.isNaN(t) ? undefined : new Date(t).toISOString();
+}
+
+// Campos editáveis (saída de validateEntry): os que entram em revisões, diffs e auditoria
+export const EDITABLE_FIELDS = ["titulo", "autor", "tipoConteudo", "descricao", "pago", "link", "tags", "imagemUrl", "imagemThumbUrl", "campos",
+	"activeFrom", "activeUntil", "priority", "campaign"];
+
+export function genId() {
+	return Math.random().toString(36).slice(2) + Date.now().toString(36);
+}
+
+/**
+ * Valida o corpo recebido pela API (aceita tipoConteudo/"tipo de conteudo",
+ * imagemUrl/imagem_url, pago como "sim"/"true"/"1" e tags separadas por vírgula).
+ * campos é validado contra o tipo de conteúdo (objeto ou JSON em texto).
+ * activeFrom/activeUntil aceitam qualquer data que Date.parse entenda (sem fuso = UTC);
+ * priority vazio = prioridade normal.
+ * Retorna { ok: true, value } com os campos editáveis no formato da API, ou { ok: false, error }.
+ */
+export function validateEntry(input) {
+	const titulo = String(input.titulo || "").trim();
+	if (!titulo) return { ok: false, error: "titulo é obrigatório" };
+	const autor = String(input.autor || "").trim();
+	const tipoConteudo = String(input.tipoConteudo || input.tipo_conteudo || input["tipo de conteudo"] || "").trim();
+	let pagoRaw = input.pago;
+	if (typeof pagoRaw === "string") {
+		const l = pagoRaw.toLowerCase();
+		pagoRaw = l === "sim" || l === "true" || l === "1";
+	}
+	const descricao = String(input.descricao || "").trim();
+	if (descricao.length > MAX_DESCRICAO) return { ok: false, error: `descricao excede ${MAX_DESCRICAO} caracteres` };
+	const pago = Boolean(pagoRaw);
+	const link = String(input.link || "").trim();
+	if (link && !URL_RE.test(link)) return { ok: false, error: "link inválido" };
+
+	let tags = input.tags;
+	if (typeof tags === "string") {
+		tags = tags.split(",").map(t => t.trim()).filter(Boolean);
+	}
+	if (!Array.isArray(tags)) tags = [];
+
+	const imagemUrl = String(input.imagemUrl || input.imagem_url || "").trim();
+	if (imagemUrl && !IMAGE_URL_RE.test(imagemUrl)) return { ok: false, error: "imagemUrl inválida" };
+	// Miniatura só acompanha uma imagem
+	const imagemThumbUrl = imagemUrl ? String(input.imagemThumbUrl || input.imagem_thumb_url || "").trim() : "";
+	if (imagemThumbUrl && !IMAGE_URL_RE.test(imagemThumbUrl)) return { ok: false, error: "imagemThumbUrl inválida" };
+
+	const campos = validateCampos(tipoConteudo, input.campos);
+	if (!campos.ok) return campos;
+
+	const activeFrom = parseInstant(input.activeFrom ?? input.active_from);
+	if (activeFrom === undefined) return { ok: false, error: "activeFrom inválida" };
+	const activeUntil = parseInstant(input.activeUntil ?? input.active_until);
+	if (activeUntil === undefined) return { ok: false, error: "activeUntil inválida" };
+	if (activeFrom && activeUntil && activeUntil <= activeFrom) return { ok: false, error: "activeUntil deve ser posterior a activeFrom" };
+
+	const priorityRaw = input.priority ?? input.prioridade;
+	let priority = null;
+	if (priorityRaw !== null && priorityRaw !== undefined && String(priorityRaw).trim() !== "") {
+		priority = typeof priorityRaw === "number" ? priorityRaw : Number(String(priorityRaw).trim().replace(",", "."));
+		if (!Number.isFinite(priority) || priority < DICT_PRIORITY_MIN || priority > DICT_PRIORITY_MAX) {
+			return { ok: false, error: `priority deve estar entre ${DICT_PRIORITY_MIN} e ${DICT_PRIORITY_MAX}` };
+		}
+	}
+
+	const campaign = String(input.campaign ?? input.campanha ?? "").trim();
+	if (campaign.length > MAX_CAMPAIGN) return { ok: false, error: `campaign excede ${MAX_CAMPAIGN} caracteres` };
+
+	return {
+		ok: true,
+		value: {
+			titulo, autor, tipoConteudo, descricao, pago, link, tags,
+			imagemUrl: imagemUrl || null, imagemThumbUrl: imagemThumbUrl || null, campos: campos.value,
+			activeFrom, activeUntil, priority, campaign: campaign || null
+		}
+	};
+}
+
+// Campos editáveis (formato da API) => colunas armazenadas
+export function toRow(value) {
+	const row = {};
+	if ("titulo" in value) row.titulo = value.titulo;
+	if ("autor" in value) row.autor = value.autor;
+	if ("tipoConteudo" in value) row.tipo_conteudo = value.tipoConteudo;
+	if ("descricao" in value) row.descricao = value.descricao;
+	if ("pago" in value) row.pago = value.pago;
+	if ("link" in value) row.link = value.link;
+	if ("tags" in value) row.tags = value.tags;
+	if ("imagemUrl" in value) row.imagem_url = value.imagemUrl || null;
+	if ("imagemThumbUrl" in value) row.imagem_thumb_url = value.imagemThumbUrl || null;
+	if ("campos" in value) row.campos = value.campos || {};
+	if ("activeFrom" in value) row.active_from = value.activeFrom || null;
+	if ("activeUntil" in value) row.active_until = value.activeUntil || null;
+	if ("priority" in value) row.priority = value.priority ?? null;
+	if ("campaign" in value) row.campaign = value.campaign || null;
+	return row;
+}
+
+// Linha armazenada => item da API. Também lê o data/dictionary.json antigo (camelCase).
+export function fromRow(row) {
+	return {
+		id: row.id,
+		titulo: row.titulo,
+		autor: row.autor || "",
+		tipoConteudo: row.tipo_conteudo ?? row.tipoConteudo ?? "",
+		descricao: row.descricao || "",
+		pago: !!row.pago,
+		link: row.link || "",
+		tags: Array.isArray(row.tags) ? row.tags : [],
+		imagemUrl: row.imagem_url ?? row.imagemUrl ?? null,
+		imagemThumbUrl: row.imagem_thumb_url ?? null,
+		campos: parseCampos(row.campos),
+		activeFrom: row.active_from ?? null,
+		activeUntil: row.active_until ?? null,
+		priority: row.priority == null ? null : Number(row.priority),
+		campaign: row.campaign ?? null,
+		createdAt: row.created_at ?? row.createdAt ?? null,
+		updatedAt: row.updated_at ?? row.updatedAt ?? null,
+		revision: row.revision ?? 0,
+		deletedAt: row.deleted_at ?? null,
+		deletedBy: row.deleted_by ?? null
+	};
+}
+
+// Linha completa no formato armazenado (converte registros antigos em camelCase)
+export function normalizeRow(row) {
+	const item = fromRow(row);
+	return {
+		id: item.id,
+		...toRow(item),
+		created_at: item.createdAt,
+		updated_at: item.updatedAt,
+		revision: item.revision,
+		deleted_at: item.deletedAt,
+		deleted_by: item.deletedBy,
+		embedding: parseEmbedding(row.embedding),
+		embedding_model: row.embedding_model ?? null,
+		embedding_hash: row.embedding_hash ?? null
+	};
+}
+
+// jsonb chega como objeto; SQLite e registros antigos podem trazer texto ou nada
+function parseCampos(value) {
+	const obj = typeof value === "string" ? JSON.parse(value || "{}") : value;
+	return obj && typeof obj === "object" && !Array.isArray(obj) ? obj : {};
+}
+
+// pgvector chega do PostgREST como texto "[0.1,0.2,...]"; jsonb/SQLite/JSON como lista
+export function parseEmbedding(value) {
+	if (value == null) return null;
+	const arr = typeof value === "string" ? JSON.parse(value) : value;
+	return Array.isArray(arr) && arr.length ? arr : null;
+}
@@ -0,0 +1,74 @@
+// Identificação de imagens pelo conteúdo (magic bytes), sem confiar no mime enviado pelo cliente.
+// Lê também largura/altura do cabeçalho, para aplicar os limites antes de decodificar a imagem.
+// Formatos aceitos: JPEG, PNG, GIF e WebP (SVG fica de fora: pode carregar script).
+
+export const IMAGE_FORMATS = {
+	jpeg: { mime: "image/jpeg", ext: "jpg" },
+	png: { mime: "image/png", ext: "png" },
+	gif: { mime: "image/gif", ext: "gif" },
+	webp: { mime: "image/webp", ext: "webp" }
+};
+
+export function detectImageFormat(buf) {
+	if (buf.length >= 3 && buf[0] === 0xff && buf[1] === 0xd8 && buf[2] === 0xff) return "jpeg";
+	if (buf.length >= 8 && buf.readUInt32BE(0) === 0x89504e47 && buf.readUInt32BE(4) === 0x0d0a1a0a) return "png";
+	if (buf.length >= 6 && /^GIF8[79]a$/.test(buf.toString("latin1", 0, 6))) return "gif";
+	if (buf.length >= 12 && buf.toString("latin1", 0, 4) === "RIFF" && buf.toString("latin1", 8, 12) === "WEBP") return "webp";
+	return null;
+}
+
+function jpegSize(buf) {
+	let i = 2;
+	while (i + 9 < buf.length) {
+		if (buf[i] !== 0xff) return null;
+		const marker = buf[i + 1];
+		// SOF0..SOF15, exceto DHT (C4), JPG (C8) e DAC (CC)
+		if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+			return { height: buf.readUInt16BE(i + 5), width: buf.readUInt16BE(i + 7) };
+		}
+		i += 2 + buf.readUInt16BE(i + 2);
+	}
+	return null;
+}
+
+function webpSize(buf) {
+	const chunk = buf.toString("latin1", 12, 16);
+	if (chunk === "VP8 " && buf.length >= 30) {
+		return { width: buf.readUInt16LE(26) & 0x3fff, height: buf.readUInt16LE(28) & 0x3fff };
+	}
+	if (chunk === "VP8L" && buf.length >= 25) {
+		const bits = buf.readUInt32LE(21);
+		return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+	}
+	if (chunk === "VP8X" && buf.length >= 30) {
+		return { width: buf.readUIntLE(24, 3) + 1, height: buf.readUIntLE(27, 3) + 1 };
+	}
+	return null;
+}
+
+const SIZE_READERS = {
+	jpeg: jpegSize,
+	png: (buf) => (buf.length >= 24 ? { width: buf.readUInt32BE(16), height: buf.readUInt32BE(20) } : null),
+	gif: (buf) => (buf.length >= 10 ? { width: buf.readUInt16LE(6), height: buf.readUInt16LE(8) } : null),
+	webp: webpSize
+};
+
+/**
+ * Valida o arquivo: formato real, tamanho em bytes, maior lado e total de pixels.
+ * Retorna { ok: true, value: { format, mime, ext, width, height, bytes } } ou { ok: false, error }.
+ */
+export function inspectImage(buf, { maxBytes, maxSide, maxPixels }) {
+	if (!buf?.length) return { ok: false, error: "Imagem vazia" };
+	if (buf.length > maxBytes) return { ok: false, error: `Imagem excede ${Math.round(maxBytes / 1024 / 1024)}MB` };
+	const format = detectImageFormat(buf);
+	if (!format) return { ok: false, error: "Formato de imagem não suportado (use JPEG, PNG, GIF ou WebP)" };
+	const size = SIZE_READERS[format](buf);
+	if (!size?.width || !size?.height) return { ok: false, error: "Imagem corrompida ou incompleta" };
+	if (Math.max(size.width, size.height) > maxSide) {
+		return { ok: false, error: `Imagem de ${size.width}x${size.height}px; o maior lado deve ter até ${maxSide}px` };
+	}
+	if (size.width * size.height > maxPixels) {
+		return { ok: false, error: `Imagem de ${size.width}x${size.height}px excede ${Math.round(maxPixels / 1e6)} megapixels` };
+	}
+	return { ok: true, value: { format, ...IMAGE_FORMATS[format], ...size, bytes: buf.length } };
+}
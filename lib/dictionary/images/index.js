@@ -0,0 +1,111 @@
+import { DICT_IMAGE_BACKEND, DICT_IMAGE_MAX_BYTES, DICT_IMAGE_MAX_SIDE, DICT_IMAGE_MAX_PIXELS, DICT_IMAGE_VARIANTS } from "../../constants.js";
+import { inspectImage, detectImageFormat, IMAGE_FORMATS } from "./format.js";
+import { createLocalImageStore, isImageKey } from "./local.js";
+import { createSupabaseImageStore } from "./supabase.js";
+
+export { isImageKey } from "./local.js";
+
+// Serviço de imagens do dicionário: valida o arquivo pelo conteúdo, grava o original e as
+// variantes (DICT_IMAGE_VARIANTS, em WebP) no armazenamento escolhido por DICT_IMAGE_BACKEND.
+// Os armazenamentos guardam bytes por chave "<id>/<arquivo>":
+// - put(key, buffer, mime) -> URL pública
+// - read(key) -> Buffer | null
+// - removeAll(id) -> número de arquivos apagados
+// As variantes usam sharp (dependência opcional); sem ele, o upload segue só com o original
+// e os cards usam a imagem inteira.
+export const IMAGE_BACKENDS = {
+	local: createLocalImageStore,
+	supabase: createSupabaseImageStore
+};
+
+export const IMAGE_LIMITS = { maxBytes: DICT_IMAGE_MAX_BYTES, maxSide: DICT_IMAGE_MAX_SIDE, maxPixels: DICT_IMAGE_MAX_PIXELS };
+
+let current = null;
+
+export function getImageStore() {
+	if (!current) {
+		const factory = IMAGE_BACKENDS[DICT_IMAGE_BACKEND];
+		if (!factory) throw new Error(`DICT_IMAGE_BACKEND desconhecido: ${DICT_IMAGE_BACKEND}`);
+		current = factory();
+	}
+	return current;
+}
+
+// Permite trocar o armazenamento em tempo de execução (ex.: scripts locais)
+export function setImageStore(store) {
+	current = store;
+}
+
+let sharpPromise = null;
+function loadSharp() {
+	if (!sharpPromise) {
+		sharpPromise = import("sharp").then(m => m.default, () => {
+			console.warn("⚠️ Imagens do dicionário: pacote sharp ausente, miniaturas não serão geradas (npm install sharp)");
+			return null;
+		});
+	}
+	return sharpPromise;
+}
+
+async function renderVariants(buffer) {
+	const sharp = await loadSharp();
+	if (!sharp) return {};
+	const out = {};
+	for (const [name, { width, height, fit }] of Object.entries(DICT_IMAGE_VARIANTS)) {
+		// rotate() aplica a orientação do EXIF; GIF animado vira o primeiro quadro
+		out[name] = await sharp(buffer, { limitInputPixels: DICT_IMAGE_MAX_PIXELS })
+			.rotate()
+			.resize({ width, height, fit, withoutEnlargement: fit !== "cover" })
+			.webp({ quality: 80 })
+			.toBuffer();
+	}
+	return out;
+}
+
+// Decodifica o base64 do formulário (aceita data URL) e valida (ver inspectImage).
+// Retorna { ok: true, value: { format, mime, ext, width, height, bytes, buffer } } ou { ok: false, error }.
+export function decodeImageUpload(base64) {
+	const buffer = Buffer.from(String(base64 || "").replace(/^data:[^,]*,/, ""), "base64");
+	const v = inspectImage(buffer, IMAGE_LIMITS);
+	return v.ok ? { ok: true, value: { ...v.value, buffer } } : v;
+}
+
+/**
+ * Grava a imagem do item (image: value de decodeImageUpload) e suas variantes.
+ * Retorna { url, variants: { [nome]: url }, width, height, format }.
+ */
+export async function uploadImage({ id, image, originalName }) {
+	const { buffer } = image;
+	const base = String(originalName || "img").replace(/\.[^.]*$/, "").replace(/[^a-z0-9_-]+/gi, "-").slice(0, 60) || "img";
+	const stem = `${id}/${Date.now()}-${base}`;
+	const store = getImageStore();
+	const url = await store.put(`${stem}.${image.ext}`, buffer, image.mime);
+	const variants = {};
+	try {
+		for (const [name, variant] of Object.entries(await renderVariants(buffer))) {
+			variants[name] = await store.put(`${stem}.${name}.webp`, variant, IMAGE_FORMATS.webp.mime);
+		}
+	} catch (e) {
+		console.warn(`⚠️ Imagens do dicionário: variantes de ${stem} falharam: ${e?.message || e}`);
+	}
+	return { url, variants, width: image.width, height: image.height, format: image.format };
+}
+
+// Lê uma imagem para servir: { buffer, mime } ou null (chave inválida/inexistente)
+export async function readImage(key) {
+	if (!isImageKey(key)) return null;
+	const buffer = await getImageStore().read(key);
+	if (!buffer) return null;
+	const format = detectImageFormat(buffer);
+	return format ? { buffer, mime: IMAGE_FORMATS[format].mime } : null;
+}
+
+// Remove todas as imagens do item (purge); best-effort (não falha a operação principal)
+export async function deleteImages(id) {
+	try {
+		if (!id) return;
+		await getImageStore().removeAll(id);
+	} catch {
+		// ignora erros de limpeza (inclusive Supabase não configurado)
+	}
+}
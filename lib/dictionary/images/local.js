@@ -0,0 +1,46 @@
+import fs from "fs/promises";
+import path from "path";
+
+// Imagens em disco (desenvolvimento/self-hosted): data/dictionary-images/<id>/<arquivo>,
+// servidas por GET /api/dict/image?key=<id>/<arquivo> (URL relativa, mesma origem do chat).
+// Os nomes levam timestamp e nunca são sobrescritos: a resposta pode ser cacheada para sempre.
+
+export const DICT_IMAGES_DIR = process.env.DICT_IMAGES_DIR || path.join(process.cwd(), "data", "dictionary-images");
+export const LOCAL_IMAGE_ROUTE = "/api/dict/image";
+
+// "<id>/<arquivo>" sem separadores extras nem "..": nada fora do diretório das imagens
+export const isImageKey = (key) => /^[A-Za-z0-9_-]+\/[A-Za-z0-9_-][A-Za-z0-9._-]*$/.test(String(key || "")) && !String(key).includes("..");
+
+export function createLocalImageStore({ dir = DICT_IMAGES_DIR } = {}) {
+	const fullPath = (key) => {
+		if (!isImageKey(key)) throw new Error(`Chave de imagem inválida: ${key}`);
+		return path.join(dir, key);
+	};
+
+	return {
+		name: "local",
+		async put(key, buffer) {
+			const file = fullPath(key);
+			await fs.mkdir(path.dirname(file), { recursive: true });
+			const tmp = `${file}.${process.pid}.tmp`;
+			await fs.writeFile(tmp, buffer);
+			await fs.rename(tmp, file);
+			return `${LOCAL_IMAGE_ROUTE}?key=${encodeURIComponent(key)}`;
+		},
+		async read(key) {
+			try {
+				return await fs.readFile(fullPath(key));
+			} catch (e) {
+				if (e?.code === "ENOENT") return null;
+				throw e;
+			}
+		},
+		async removeAll(id) {
+			if (!isImageKey(`${id}/x`)) return 0;
+			const folder = path.join(dir, String(id));
+			const files = await fs.readdir(folder).catch(() => []);
+			await fs.rm(folder, { recursive: true, force: true });
+			return files.length;
+		}
+	};
+}
@@ -0,0 +1,31 @@
+import { getSupabase } from "../../supabase.js";
+
+// Imagens no Supabase Storage (bucket público), uma "pasta" por id; URLs públicas do bucket.
+// Independe do backend dos dados: exige apenas SUPABASE_URL e uma key com escrita no bucket.
+
+const BUCKET_NAME = "dictionary-images";
+
+export function createSupabaseImageStore({ bucket = BUCKET_NAME } = {}) {
+	const storage = () => getSupabase().storage.from(bucket);
+
+	return {
+		name: "supabase",
+		async put(key, buffer, mime) {
+			const { error } = await storage().upload(key, buffer, { contentType: mime, upsert: true });
+			if (error) throw error;
+			const { data } = storage().getPublicUrl(key);
+			return data?.publicUrl || null;
+		},
+		async read(key) {
+			const { data, error } = await storage().download(key);
+			if (error) return null;
+			return Buffer.from(await data.arrayBuffer());
+		},
+		async removeAll(id) {
+			const { data: files, error } = await storage().list(id, { limit: 1000 });
+			if (error) throw error;
+			if (files?.length) await storage().remove(files.map(f => `${id}/${f.name}`));
+			return files?.length || 0;
+		}
+	};
+}
@@ -0,0 +1,250 @@
+import { DICT_BACKEND, DICT_CACHE_TTL_MS } from "../constants.js";
+import { genId, toRow, fromRow, parseEmbedding } from "./entry.js";
+import { embedDictItems, isEmbeddingStale } from "./embeddings.js";
+import { searchDictItems, searchPage } from "./search.js";
+import { buildAuditEntry, changedFields } from "./audit.js";
+import { buildRevision, revisionValue } from "./revisions.js";
+import { createJsonBackend } from "./json.js";
+import { createSqliteBackend } from "./sqlite.js";
+import { createSupabaseBackend } from "./supabase.js";
+
+export { validateEntry, genId } from "./entry.js";
+export { isDictQuery, parseDictQuery } from "./search.js";
+export { parseAuditQuery } from "./audit.js";
+
+// Repositório do dicionário: mesma interface e mesmo formato de item (o da API)
+// para qualquer backend. Os backends só guardam linhas (ver entry.js):
+// - listRows() -> [row]
+// - searchRows(options) -> { rows, total } (opcional: busca/paginação no banco; sem ele, em memória)
+// - getRow(id) -> row | null
+// - insertRow(row) -> row
+// - updateRow(id, patch) -> row | null
+// - deleteRow(id) -> boolean
+// - appendAudit(entry) -> entry
+// - listAudit({ entity, entityId, actor, action, limit, offset }) -> { items, total }
+// - appendRevision(rev) -> rev
+// - listRevisions(itemId) -> [rev] (ordem crescente de revision)
+// - deleteRevisions(itemId) -> número de revisões apagadas
+export const DICT_BACKENDS = {
+	json: createJsonBackend,
+	sqlite: createSqliteBackend,
+	supabase: createSupabaseBackend
+};
+
+const byNewest = (a, b) => String(b.createdAt || "").localeCompare(String(a.createdAt || ""));
+
+// Item da API + embedding (uso interno: ranking das recomendações)
+const withEmbedding = (row) => ({ ...fromRow(row), embedding: parseEmbedding(row.embedding), embeddingModel: row.embedding_model || null });
+
+/**
+ * cacheTtlMs: validade da lista em cache (listCached), usada pelo chat a cada pergunta.
+ * Escritas por este repositório invalidam o cache na hora; o TTL cobre escritas feitas
+ * por outras instâncias (serverless) ou direto no banco.
+ * Cada item é embutido ao ser criado/alterado; se o embedding falhar, o item é salvo
+ * sem ele (fica só com a busca por palavras) e npm run embed:dictionary completa depois.
+ * Escritas recebem { actor } (usuário da sessão, ver lib/auth.js) e geram uma entrada de
+ * auditoria com o item antes/depois; falha ao auditar não desfaz a escrita, só é logada.
+ * Criações, alterações e restaurações gravam uma revisão (revisions.js); exclusões são
+ * lógicas (lixeira) e só purge apaga o item e suas revisões.
+ */
+export function createDictionaryRepository(backend, { cacheTtlMs = DICT_CACHE_TTL_MS } = {}) {
+	let cache = null; // { at, promise }
+
+	const invalidate = () => { cache = null; };
+	const activeRows = async () => (await backend.listRows()).filter(r => !r.deleted_at);
+	// Itens ativos, ou só os da lixeira com { deleted: true }
+	const list = async ({ deleted = false } = {}) =>
+		(await backend.listRows()).filter(r => !!r.deleted_at === deleted).map(fromRow).sort(byNewest);
+
+	async function embeddingFieldsFor(values) {
+		try {
+			return await embedDictItems(values);
+		} catch (e) {
+			console.warn(`⚠️ Dicionário: embedding de ${values.length} item(ns) falhou: ${e?.message || e}`);
+			return values.map(() => ({ embedding: null, embedding_model: null, embedding_hash: null }));
+		}
+	}
+	const embeddingFields = async (value) => (await embeddingFieldsFor([value]))[0];
+
+	async function audit(fields) {
+		try {
+			await backend.appendAudit(buildAuditEntry(fields));
+		} catch (e) {
+			console.error(`❌ Dicionário: auditoria de ${fields.action} ${fields.entityId} falhou:`, e);
+		}
+	}
+
+	// Novo item já como revisão 1
+	async function insert(value, embedding, { id, actor, meta, now }) {
+		const row = await backend.insertRow({ id, ...toRow(value), ...embedding, revision: 1, created_at: now, updated_at: now });
+		const item = fromRow(row);
+		await backend.appendRevision(buildRevision({ itemId: id, revision: 1, action: "create", actor, item, meta }));
+		await audit({ action: "create", actor, entityId: id, after: item, meta });
+		return item;
+	}
+
+	// Grava value como nova revisão de current (linha). Itens anteriores ao histórico
+	// ganham antes uma revisão "baseline" com o estado atual.
+	async function saveRevision(current, value, { action, actor, meta, patch = {} }) {
+		const before = fromRow(current);
+		let revision = current.revision || 0;
+		if (!revision) {
+			revision = 1;
+			await backend.appendRevision(buildRevision({ itemId: current.id, revision, action: "baseline", item: before }));
+		}
+		revision++;
+		const embedding = isEmbeddingStale(current, value) ? await embeddingFields(value) : {};
+		const row = await backend.updateRow(current.id, { ...toRow(value), ...embedding, ...patch, revision, updated_at: new Date().toISOString() });
+		invalidate();
+		if (!row) return null;
+		const item = fromRow(row);
+		await backend.appendRevision(buildRevision({ itemId: current.id, revision, action, actor, item, meta }));
+		await audit({ action, actor, entityId: current.id, before, after: item, meta: { ...meta, revision, changed: changedFields(before, item) } });
+		return item;
+	}
+
+	return {
+		backend: backend.name,
+		list,
+		// Listagem com busca/filtros/paginação (opções de parseDictQuery)
+		async search(options) {
+			if (backend.searchRows) {
+				const { rows, total } = await backend.searchRows(options);
+				return searchPage(rows.map(fromRow), total, options);
+			}
+			return searchDictItems(await list({ deleted: !!options?.deleted }), options);
+		},
+		// Itens ativos com embedding (não usar como resposta da API)
+		listCached() {
+			if (!cache || Date.now() - cache.at > cacheTtlMs) {
+				const promise = activeRows().then(rows => rows.map(withEmbedding));
+				cache = { at: Date.now(), promise };
+				promise.catch(() => { if (cache?.promise === promise) cache = null; });
+			}
+			return cache.promise;
+		},
+		invalidate,
+		// Itens na lixeira só com { includeDeleted: true }
+		async get(id, { includeDeleted = false } = {}) {
+			const row = await backend.getRow(id);
+			return row && (includeDeleted || !row.deleted_at) ? fromRow(row) : null;
+		},
+		// value: saída de validateEntry; id pode ser reservado antes (ex.: upload de imagem)
+		async create(value, { id = genId(), actor = null, meta = null } = {}) {
+			const item = await insert(value, await embeddingFields(value), { id, actor, meta, now: new Date().toISOString() });
+			invalidate();
+			return item;
+		},
+		// Criação em lote (importação): embeddings em lotes de batch itens
+		async createMany(values, { batch = 64, actor = null, meta = null } = {}) {
+			const now = new Date().toISOString();
+			const created = [];
+			for (let i = 0; i < values.length; i += batch) {
+				const slice = values.slice(i, i + batch);
+				const fields = await embeddingFieldsFor(slice);
+				for (let j = 0; j < slice.length; j++) {
+					created.push(await insert(slice[j], fields[j], { id: genId(), actor, meta, now }));
+				}
+			}
+			invalidate();
+			return created;
+		},
+		// Itens na lixeira não são alterados (restaure antes)
+		async update(id, value, { actor = null, meta = null } = {}) {
+			const current = await backend.getRow(id);
+			if (!current || current.deleted_at) return null;
+			return saveRevision(current, value, { action: "update", actor, meta });
+		},
+		// Exclusão lógica: o item vai para a lixeira (some da listagem e do chat)
+		async remove(id, { actor = null, meta = null } = {}) {
+			const current = await backend.getRow(id);
+			if (!current || current.deleted_at) return false;
+			const row = await backend.updateRow(id, { deleted_at: new Date().toISOString(), deleted_by: actor?.email ?? null });
+			invalidate();
+			if (!row) return false;
+			await audit({ action: "delete", actor, entityId: id, before: fromRow(current), after: fromRow(row), meta });
+			return true;
+		},
+		/**
+		 * Restaura o item: sem revision, só tira da lixeira; com revision, grava os campos
+		 * daquela revisão como uma nova revisão (e também tira da lixeira).
+		 * Retorna { item } ou { error, status } (404 item/revisão inexistente, 409 nada a restaurar).
+		 */
+		async restore(id, { revision = null, actor = null } = {}) {
+			const current = await backend.getRow(id);
+			if (!current) return { error: "Não encontrado", status: 404 };
+			const undelete = { deleted_at: null, deleted_by: null };
+			if (revision == null) {
+				if (!current.deleted_at) return { error: "Item não está na lixeira", status: 409 };
+				const row = await backend.updateRow(id, undelete);
+				invalidate();
+				const item = fromRow(row);
+				await audit({ action: "restore", actor, entityId: id, before: fromRow(current), after: item });
+				return { item };
+			}
+			const rev = (await backend.listRevisions(id)).find(r => r.revision === revision);
+			if (!rev) return { error: `Revisão ${revision} não encontrada`, status: 404 };
+			const item = await saveRevision(current, revisionValue(rev), {
+				action: "restore",
+				actor,
+				meta: { from_revision: revision },
+				patch: undelete
+			});
+			return item ? { item } : { error: "Não encontrado", status: 404 };
+		},
+		// Apaga de vez (linha e revisões); só itens já na lixeira. A auditoria é mantida.
+		async purge(id, { actor = null } = {}) {
+			const current = await backend.getRow(id);
+			if (!current) return { error: "Não encontrado", status: 404 };
+			if (!current.deleted_at) return { error: "Exclua o item antes de apagá-lo definitivamente", status: 409 };
+			await backend.deleteRow(id);
+			await backend.deleteRevisions(id);
+			invalidate();
+			await audit({ action: "purge", actor, entityId: id, before: fromRow(current) });
+			return { ok: true };
+		},
+		// Revisões do item, da mais antiga para a mais recente (current = revisão atual)
+		async listRevisions(id) {
+			const current = await backend.getRow(id);
+			if (!current) return null;
+			return (await backend.listRevisions(id)).map(r => ({ ...r, current: r.revision === current.revision }));
+		},
+		// Audita escritas de outras entidades do admin que não têm repositório próprio (tesauro)
+		recordAudit(fields) {
+			return audit(fields);
+		},
+		// Histórico de escritas (filtros de parseAuditQuery)
+		listAudit(filters) {
+			return backend.listAudit(filters);
+		},
+		// Gera embeddings ausentes/desatualizados dos itens ativos (ou todos, com force). Retorna { updated, total }.
+		async refreshEmbeddings({ force = false, batch = 32, onProgress } = {}) {
+			const rows = await activeRows();
+			const pending = rows.filter(r => force || isEmbeddingStale(r, fromRow(r)));
+			for (let i = 0; i < pending.length; i += batch) {
+				const slice = pending.slice(i, i + batch);
+				const fields = await embedDictItems(slice.map(fromRow));
+				for (let j = 0; j < slice.length; j++) await backend.updateRow(slice[j].id, fields[j]);
+				onProgress?.(Math.min(i + batch, pending.length), pending.length);
+			}
+			invalidate();
+			return { updated: pending.length, total: rows.length };
+		}
+	};
+}
+
+let current = null;
+
+export function getDictionaryRepository() {
+	if (!current) {
+		const factory = DICT_BACKENDS[DICT_BACKEND];
+		if (!factory) throw new Error(`DICT_BACKEND desconhecido: ${DICT_BACKEND}`);
+		current = createDictionaryRepository(factory());
+	}
+	return current;
+}
+
+// Permite trocar o repositório em tempo de execução (ex.: scripts locais)
+export function setDictionaryRepository(repository) {
+	current = repository;
+}
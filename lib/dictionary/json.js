@@ -0,0 +1,114 @@
+import fs from "fs/promises";
+import path from "path";
+import { writeJsonAtomic } from "../ingest.js";
+import { normalizeRow } from "./entry.js";
+import { pageAuditEntries } from "./audit.js";
+
+// Backend em arquivo JSON local (desenvolvimento/offline): lista de linhas em data/dictionary.json.
+// Escritas são serializadas no processo para não perder alterações concorrentes.
+// Gravado sem indentação: cada linha carrega o embedding do item.
+// A auditoria vai para data/dictionary_audit.jsonl e as revisões para data/dictionary_revisions.jsonl
+// (uma entrada por linha; revisões só são reescritas no purge do item).
+
+export const DICT_JSON_PATH = process.env.DICT_JSON_PATH || path.join(process.cwd(), "data", "dictionary.json");
+export const DICT_AUDIT_PATH = process.env.DICT_AUDIT_PATH || path.join(process.cwd(), "data", "dictionary_audit.jsonl");
+export const DICT_REVISIONS_PATH = process.env.DICT_REVISIONS_PATH || path.join(process.cwd(), "data", "dictionary_revisions.jsonl");
+
+async function readJsonl(filePath) {
+	let raw;
+	try {
+		raw = await fs.readFile(filePath, "utf8");
+	} catch (e) {
+		if (e?.code === "ENOENT") return [];
+		throw e;
+	}
+	return raw.split("\n").filter(l => l.trim()).map(l => JSON.parse(l));
+}
+
+export function createJsonBackend({ filePath = DICT_JSON_PATH, auditPath = DICT_AUDIT_PATH, revisionsPath = DICT_REVISIONS_PATH } = {}) {
+	let queue = Promise.resolve();
+
+	// Mesma fila das escritas do dicionário (ordem preservada entre arquivos)
+	function enqueue(task) {
+		const run = queue.then(task);
+		queue = run.catch(() => {});
+		return run;
+	}
+
+	const appendLine = (file, entry) => enqueue(async () => {
+		await fs.mkdir(path.dirname(file), { recursive: true });
+		await fs.appendFile(file, JSON.stringify(entry) + "\n", "utf8");
+		return entry;
+	});
+
+	async function load() {
+		try {
+			const arr = JSON.parse(await fs.readFile(filePath, "utf8"));
+			if (!Array.isArray(arr)) throw new Error(`Formato inválido em ${filePath}`);
+			return arr.map(normalizeRow);
+		} catch (e) {
+			if (e?.code === "ENOENT") return [];
+			throw e;
+		}
+	}
+
+	function write(mutate) {
+		return enqueue(async () => {
+			const rows = await load();
+			const { rows: next, result } = mutate(rows);
+			if (next !== rows) {
+				await fs.mkdir(path.dirname(filePath), { recursive: true });
+				await writeJsonAtomic(filePath, next);
+			}
+			return result;
+		});
+	}
+
+	return {
+		name: "json",
+		listRows: load,
+		async getRow(id) {
+			return (await load()).find(r => r.id === id) || null;
+		},
+		insertRow(row) {
+			return write(rows => ({ rows: [...rows, row], result: row }));
+		},
+		updateRow(id, patch) {
+			return write(rows => {
+				const idx = rows.findIndex(r => r.id === id);
+				if (idx === -1) return { rows, result: null };
+				const updated = { ...rows[idx], ...patch };
+				return { rows: rows.map((r, i) => (i === idx ? updated : r)), result: updated };
+			});
+		},
+		deleteRow(id) {
+			return write(rows => {
+				const next = rows.filter(r => r.id !== id);
+				return next.length === rows.length ? { rows, result: false } : { rows: next, result: true };
+			});
+		},
+		appendAudit(entry) {
+			return appendLine(auditPath, entry);
+		},
+		async listAudit(filters) {
+			return pageAuditEntries(await readJsonl(auditPath), filters);
+		},
+		appendRevision(rev) {
+			return appendLine(revisionsPath, rev);
+		},
+		async listRevisions(itemId) {
+			return (await readJsonl(revisionsPath)).filter(r => r.item_id === itemId).sort((a, b) => a.revision - b.revision);
+		},
+		deleteRevisions(itemId) {
+			return enqueue(async () => {
+				const all = await readJsonl(revisionsPath);
+				const kept = all.filter(r => r.item_id !== itemId);
+				if (kept.length === all.length) return 0;
+				const tmp = `${revisionsPath}.${process.pid}.tmp`;
+				await fs.writeFile(tmp, kept.map(r => JSON.stringify(r) + "\n").join(""), "utf8");
+				await fs.rename(tmp, revisionsPath);
+				return all.length - kept.length;
+			});
+		}
+	};
+}
@@ -0,0 +1,49 @@
+import crypto from "crypto";
+import { EDITABLE_FIELDS, validateEntry } from "./entry.js";
+import { changedFields } from "./audit.js";
+
+// Revisões dos itens do dicionário: cada criação, alteração ou restauração grava o estado
+// resultante do item como uma nova revisão numerada (1, 2, ...):
+// { id, item_id, revision, at, actor: { email, role } | null,
+//   action: "create" | "update" | "restore" | "baseline", meta, data }
+// data são os campos editáveis do item naquela revisão. "baseline" é o estado de um item anterior ao
+// histórico, gravado na primeira alteração para que ele também possa ser restaurado.
+// As revisões só são apagadas junto com o item (purge).
+
+export function buildRevision({ itemId, revision, action, actor = null, item, meta = null }) {
+	const data = Object.fromEntries(EDITABLE_FIELDS.map(k => [k, item[k] ?? null]));
+	return {
+		id: crypto.randomUUID(),
+		item_id: itemId,
+		revision,
+		at: new Date().toISOString(),
+		actor: actor ? { email: actor.email, role: actor.role } : null,
+		action,
+		meta,
+		data
+	};
+}
+
+// Campos editáveis da revisão, prontos para repository.update (mesma validação da API)
+export function revisionValue(rev) {
+	const v = validateEntry(rev.data || {});
+	if (!v.ok) throw new Error(`Revisão ${rev.revision} inválida: ${v.error}`);
+	return v.value;
+}
+
+/**
+ * Diferença entre duas revisões (ou itens): [{ field, from, to }] só dos campos editáveis
+ * que mudaram. Para tags, também { added, removed }.
+ */
+export function diffRevisions(from, to) {
+	return changedFields(from?.data, to?.data).map(field => {
+		const change = { field, from: from.data[field] ?? null, to: to.data[field] ?? null };
+		if (field === "tags") {
+			const a = new Set(change.from || []);
+			const b = new Set(change.to || []);
+			change.added = [...b].filter(t => !a.has(t));
+			change.removed = [...a].filter(t => !b.has(t));
+		}
+		return change;
+	});
+}
@@ -0,0 +1,13 @@
+// Janela de exibição dos itens do dicionário: activeFrom/activeUntil (instantes ISO; vazio = sem limite).
+// Fora da janela o item continua cadastrado e visível no admin, mas não é recomendado no chat.
+// "upcoming": ainda não começou; "expired": já terminou (activeUntil é exclusivo).
+
+export const SCHEDULE_STATUSES = ["active", "upcoming", "expired"];
+
+export function scheduleStatus(item, now = Date.now()) {
+	if (item.activeFrom && Date.parse(item.activeFrom) > now) return "upcoming";
+	if (item.activeUntil && Date.parse(item.activeUntil) <= now) return "expired";
+	return "active";
+}
+
+export const isItemActive = (item, now = Date.now()) => scheduleStatus(item, now) === "active";
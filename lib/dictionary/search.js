@@ -0,0 +1,137 @@
+import { normalizeStr } from "../text.js";
+import { SCHEDULE_STATUSES, scheduleStatus } from "./schedule.js";
+
+// Busca, filtros, ordenação e paginação da listagem do dicionário (GET /api/dict?q=...).
+// JSON e SQLite: searchDictItems roda sobre a lista do repositório. Supabase: a consulta vai
+// para o banco (supabase.js searchRows), usando a coluna search_text gravada com searchText.
+
+export const DICT_SORT_FIELDS = ["titulo", "autor", "tipoConteudo", "pago", "link", "tags", "createdAt", "updatedAt", "deletedAt",
+	"activeFrom", "activeUntil", "priority", "campaign"];
+const DATE_FIELDS = ["createdAt", "updatedAt", "deletedAt", "activeFrom", "activeUntil"];
+export const DICT_PAGE_SIZE = 50;
+export const DICT_PAGE_MAX = 200;
+
+const QUERY_KEYS = ["q", "tipoConteudo", "pago", "tag", "sort", "order", "limit", "offset", "deleted", "status"];
+
+// Há parâmetros de busca? (sem nenhum, GET /api/dict devolve a lista completa como antes)
+export function isDictQuery(query = {}) {
+	return QUERY_KEYS.some(k => query[k] !== undefined);
+}
+
+function parseBool(value) {
+	const l = String(value).toLowerCase();
+	if (["true", "1", "sim"].includes(l)) return true;
+	if (["false", "0", "nao", "não"].includes(l)) return false;
+	return undefined;
+}
+
+function parseIntParam(value, fallback) {
+	if (value === undefined || value === "") return fallback;
+	const n = Number(value);
+	return Number.isInteger(n) && n >= 0 ? n : NaN;
+}
+
+/**
+ * Valida os parâmetros da query string.
+ * tag pode repetir (?tag=a&tag=b) ou vir separada por vírgula; o item precisa ter todas.
+ * deleted=true lista a lixeira (itens excluídos) em vez dos itens ativos.
+ * status filtra pela janela de exibição: active, upcoming (agendados) ou expired (ver schedule.js).
+ * Retorna { ok: true, value: { q, tipoConteudo, pago, tags, sort, order, limit, offset, deleted, status } } ou { ok: false, error }.
+ */
+export function parseDictQuery(query = {}) {
+	const q = String(query.q || "").trim();
+	const tipoConteudo = String(query.tipoConteudo || "").trim();
+
+	let pago;
+	if (query.pago !== undefined && query.pago !== "") {
+		pago = parseBool(query.pago);
+		if (pago === undefined) return { ok: false, error: "pago deve ser true ou false" };
+	}
+
+	const tags = [].concat(query.tag ?? []).flatMap(t => String(t).split(",")).map(t => t.trim()).filter(Boolean);
+
+	const sort = String(query.sort || "createdAt");
+	if (!DICT_SORT_FIELDS.includes(sort)) return { ok: false, error: `sort deve ser um de: ${DICT_SORT_FIELDS.join(", ")}` };
+	const order = String(query.order || (DATE_FIELDS.includes(sort) ? "desc" : "asc")).toLowerCase();
+	if (order !== "asc" && order !== "desc") return { ok: false, error: "order deve ser asc ou desc" };
+
+	const limit = parseIntParam(query.limit, DICT_PAGE_SIZE);
+	const offset = parseIntParam(query.offset, 0);
+	if (Number.isNaN(limit) || limit < 1 || limit > DICT_PAGE_MAX) return { ok: false, error: `limit deve estar entre 1 e ${DICT_PAGE_MAX}` };
+	if (Number.isNaN(offset)) return { ok: false, error: "offset inválido" };
+
+	let deleted = false;
+	if (query.deleted !== undefined && query.deleted !== "") {
+		deleted = parseBool(query.deleted);
+		if (deleted === undefined) return { ok: false, error: "deleted deve ser true ou false" };
+	}
+
+	const status = query.status ? String(query.status) : null;
+	if (status && !SCHEDULE_STATUSES.includes(status)) return { ok: false, error: `status deve ser ${SCHEDULE_STATUSES.join(", ")}` };
+
+	return { ok: true, value: { q, tipoConteudo, pago, tags, sort, order, limit, offset, deleted, status } };
+}
+
+// Texto de busca de uma linha (título, autor e tags), na normalização da busca em memória.
+// As tags ficam entre "|" para o filtro de tag casar a tag inteira: "... |pcr|sepse|".
+export function searchText(row) {
+	const tags = Array.isArray(row.tags) ? row.tags : [];
+	return `${normalizeStr([row.titulo, row.autor].filter(Boolean).join(" "))} |${tags.map(t => normalizeStr(t)).join("|")}|`;
+}
+
+// Resposta paginada: { items, total, limit, offset, next_offset } (next_offset null na última página)
+export function searchPage(items, total, { limit, offset }) {
+	return {
+		items,
+		total,
+		limit,
+		offset,
+		next_offset: offset + items.length < total ? offset + items.length : null
+	};
+}
+
+function sortKey(item, field) {
+	const v = item[field];
+	if (field === "pago") return v ? 1 : 0;
+	if (field === "priority") return v ?? 1;
+	if (field === "tags") return normalizeStr((v || []).join(", "));
+	return normalizeStr(String(v ?? ""));
+}
+
+/**
+ * Aplica busca/filtros/ordenação/paginação a uma lista de itens (formato da API).
+ * q: todas as palavras precisam aparecer em título, autor ou tags (sem acento/caixa).
+ * Retorna { items, total, limit, offset, next_offset } (next_offset null na última página).
+ */
+export function searchDictItems(items, { q = "", tipoConteudo = "", pago, tags = [], status = null, sort = "createdAt", order = "desc", limit = DICT_PAGE_SIZE, offset = 0 } = {}) {
+	const words = normalizeStr(q).split(/\s+/).filter(Boolean);
+	const tipo = normalizeStr(tipoConteudo);
+	const wantedTags = tags.map(t => normalizeStr(t));
+	const now = Date.now();
+
+	const filtered = items.filter(item => {
+		if (tipo && normalizeStr(item.tipoConteudo) !== tipo) return false;
+		if (pago !== undefined && !!item.pago !== pago) return false;
+		if (status && scheduleStatus(item, now) !== status) return false;
+		if (wantedTags.length) {
+			const itemTags = new Set((item.tags || []).map(t => normalizeStr(t)));
+			if (!wantedTags.every(t => itemTags.has(t))) return false;
+		}
+		if (words.length) {
+			const haystack = normalizeStr([item.titulo, item.autor, ...(item.tags || [])].join(" "));
+			if (!words.every(w => haystack.includes(w))) return false;
+		}
+		return true;
+	});
+
+	const dir = order === "desc" ? -1 : 1;
+	const sorted = filtered
+		.map(item => ({ item, key: sortKey(item, sort) }))
+		.sort((a, b) => {
+			const cmp = typeof a.key === "number" ? a.key - b.key : a.key.localeCompare(b.key, "pt");
+			return cmp * dir || String(a.item.id).localeCompare(String(b.item.id));
+		})
+		.map(x => x.item);
+
+	return searchPage(sorted.slice(offset, offset + limit), sorted.length, { limit, offset });
+}
@@ -0,0 +1,215 @@
+import fs from "fs/promises";
+import path from "path";
+
+// Backend SQLite local (better-sqlite3, dependência opcional): tabela "dictionary"
+// com as mesmas colunas da tabela do Supabase; tags, campos e embedding ficam em JSON.
+// Auditoria na tabela "audit_log" e revisões em "dictionary_revisions" (campos JSON como texto).
+
+export const DICT_SQLITE_PATH = process.env.DICT_SQLITE_PATH || path.join(process.cwd(), "data", "dictionary.sqlite");
+
+const COLUMNS = [
+	"id", "titulo", "autor", "tipo_conteudo", "descricao", "pago", "link", "tags", "imagem_url", "imagem_thumb_url", "campos",
+	"active_from", "active_until", "priority", "campaign",
+	"created_at", "updated_at", "revision", "deleted_at", "deleted_by", "embedding", "embedding_model", "embedding_hash"
+];
+const JSON_COLUMNS = new Set(["tags", "campos", "embedding"]);
+
+const SCHEMA = `
+CREATE TABLE IF NOT EXISTS dictionary (
+	id TEXT PRIMARY KEY,
+	titulo TEXT NOT NULL,
+	autor TEXT,
+	tipo_conteudo TEXT,
+	pago INTEGER NOT NULL DEFAULT 0,
+	link TEXT,
+	tags TEXT NOT NULL DEFAULT '[]',
+	imagem_url TEXT,
+	created_at TEXT,
+	updated_at TEXT
+);
+CREATE TABLE IF NOT EXISTS audit_log (
+	id TEXT PRIMARY KEY,
+	at TEXT NOT NULL,
+	actor_email TEXT,
+	actor TEXT,
+	action TEXT NOT NULL,
+	entity TEXT NOT NULL,
+	entity_id TEXT,
+	before TEXT,
+	after TEXT,
+	meta TEXT
+);
+CREATE INDEX IF NOT EXISTS audit_log_entity ON audit_log (entity, entity_id, at);
+CREATE TABLE IF NOT EXISTS dictionary_revisions (
+	id TEXT PRIMARY KEY,
+	item_id TEXT NOT NULL,
+	revision INTEGER NOT NULL,
+	at TEXT NOT NULL,
+	actor TEXT,
+	action TEXT NOT NULL,
+	meta TEXT,
+	data TEXT NOT NULL,
+	UNIQUE (item_id, revision)
+)`;
+
+// Colunas acrescentadas depois da primeira versão da tabela (ALTER TABLE em bancos antigos)
+const ADDED_COLUMNS = {
+	descricao: "TEXT",
+	embedding: "TEXT",
+	embedding_model: "TEXT",
+	embedding_hash: "TEXT",
+	revision: "INTEGER NOT NULL DEFAULT 0",
+	deleted_at: "TEXT",
+	deleted_by: "TEXT",
+	imagem_thumb_url: "TEXT",
+	campos: "TEXT",
+	active_from: "TEXT",
+	active_until: "TEXT",
+	priority: "REAL",
+	campaign: "TEXT"
+};
+
+function migrate(conn) {
+	conn.exec(SCHEMA);
+	const existing = new Set(conn.prepare("PRAGMA table_info(dictionary)").all().map(c => c.name));
+	for (const [name, type] of Object.entries(ADDED_COLUMNS)) {
+		if (!existing.has(name)) conn.exec(`ALTER TABLE dictionary ADD COLUMN ${name} ${type}`);
+	}
+}
+
+function encode(row) {
+	const out = {};
+	for (const [k, v] of Object.entries(row)) {
+		if (!COLUMNS.includes(k)) continue;
+		if (k === "campos") out[k] = JSON.stringify(v || {});
+		else if (JSON_COLUMNS.has(k)) out[k] = v == null ? (k === "tags" ? "[]" : null) : JSON.stringify(Array.from(v));
+		else out[k] = k === "pago" ? (v ? 1 : 0) : v ?? null;
+	}
+	return out;
+}
+
+function decode(row) {
+	if (!row) return null;
+	return {
+		...row,
+		pago: !!row.pago,
+		tags: JSON.parse(row.tags || "[]"),
+		campos: JSON.parse(row.campos || "{}"),
+		embedding: row.embedding ? JSON.parse(row.embedding) : null
+	};
+}
+
+const AUDIT_JSON_COLUMNS = ["actor", "before", "after", "meta"];
+const REVISION_JSON_COLUMNS = ["actor", "meta", "data"];
+
+function decodeAudit(row) {
+	const entry = { ...row };
+	delete entry.actor_email;
+	for (const k of AUDIT_JSON_COLUMNS) entry[k] = row[k] ? JSON.parse(row[k]) : null;
+	return entry;
+}
+
+function decodeRevision(row) {
+	const rev = { ...row };
+	for (const k of REVISION_JSON_COLUMNS) rev[k] = row[k] ? JSON.parse(row[k]) : null;
+	return rev;
+}
+
+export function createSqliteBackend({ filePath = DICT_SQLITE_PATH } = {}) {
+	let dbPromise = null;
+
+	function db() {
+		if (!dbPromise) {
+			dbPromise = (async () => {
+				let Database;
+				try {
+					Database = (await import("better-sqlite3")).default;
+				} catch {
+					throw new Error("DICT_BACKEND=sqlite requer o pacote better-sqlite3 (npm install better-sqlite3)");
+				}
+				await fs.mkdir(path.dirname(filePath), { recursive: true });
+				const conn = new Database(filePath);
+				conn.pragma("journal_mode = WAL");
+				migrate(conn);
+				return conn;
+			})();
+			dbPromise.catch(() => { dbPromise = null; });
+		}
+		return dbPromise;
+	}
+
+	async function getRow(id) {
+		return decode((await db()).prepare("SELECT * FROM dictionary WHERE id = ?").get(id));
+	}
+
+	return {
+		name: "sqlite",
+		async listRows() {
+			return (await db()).prepare("SELECT * FROM dictionary").all().map(decode);
+		},
+		getRow,
+		async insertRow(row) {
+			const values = encode(row);
+			const cols = Object.keys(values);
+			(await db())
+				.prepare(`INSERT INTO dictionary (${cols.join(", ")}) VALUES (${cols.map(c => `@${c}`).join(", ")})`)
+				.run(values);
+			return getRow(row.id);
+		},
+		async updateRow(id, patch) {
+			const values = encode(patch);
+			delete values.id;
+			const cols = Object.keys(values);
+			if (!cols.length) return getRow(id);
+			const { changes } = (await db())
+				.prepare(`UPDATE dictionary SET ${cols.map(c => `${c} = @${c}`).join(", ")} WHERE id = @id`)
+				.run({ ...values, id });
+			return changes ? getRow(id) : null;
+		},
+		async deleteRow(id) {
+			const { changes } = (await db()).prepare("DELETE FROM dictionary WHERE id = ?").run(id);
+			return changes > 0;
+		},
+		async appendAudit(entry) {
+			const values = { ...entry, actor_email: entry.actor?.email?.toLowerCase() ?? null };
+			for (const k of AUDIT_JSON_COLUMNS) values[k] = entry[k] == null ? null : JSON.stringify(entry[k]);
+			(await db())
+				.prepare(`INSERT INTO audit_log (id, at, actor_email, actor, action, entity, entity_id, before, after, meta)
+					VALUES (@id, @at, @actor_email, @actor, @action, @entity, @entity_id, @before, @after, @meta)`)
+				.run(values);
+			return entry;
+		},
+		async listAudit({ entity = "dictionary", entityId = null, actor = null, action = null, limit, offset }) {
+			const where = ["entity = @entity"];
+			const params = { entity };
+			if (entityId) { where.push("entity_id = @entityId"); params.entityId = entityId; }
+			if (actor) { where.push("actor_email = @actor"); params.actor = actor; }
+			if (action) { where.push("action = @action"); params.action = action; }
+			const conn = await db();
+			const sql = where.join(" AND ");
+			const { total } = conn.prepare(`SELECT COUNT(*) AS total FROM audit_log WHERE ${sql}`).get(params);
+			const rows = conn
+				.prepare(`SELECT * FROM audit_log WHERE ${sql} ORDER BY at DESC, rowid DESC LIMIT @limit OFFSET @offset`)
+				.all({ ...params, limit, offset });
+			return { items: rows.map(decodeAudit), total };
+		},
+		async appendRevision(rev) {
+			const values = { ...rev };
+			for (const k of REVISION_JSON_COLUMNS) values[k] = rev[k] == null ? null : JSON.stringify(rev[k]);
+			(await db())
+				.prepare(`INSERT INTO dictionary_revisions (id, item_id, revision, at, actor, action, meta, data)
+					VALUES (@id, @item_id, @revision, @at, @actor, @action, @meta, @data)`)
+				.run(values);
+			return rev;
+		},
+		async listRevisions(itemId) {
+			return (await db())
+				.prepare("SELECT * FROM dictionary_revisions WHERE item_id = ? ORDER BY revision")
+				.all(itemId)
+				.map(decodeRevision);
+		},
+		async deleteRevisions(itemId) {
+			return (await db()).prepare("DELETE FROM dictionary_revisions WHERE item_id = ?").run(itemId).changes;
+		}
+	};
+}
@@ -0,0 +1,130 @@
+import { getSupabase } from "../supabase.js";
+import { normalizeStr } from "../text.js";
+import { searchText } from "./search.js";
+
+// Backend Supabase (produção): tabela "dictionary". Esquema versionado em supabase/migrations/.
+// Colunas além das originais: descricao text, embedding jsonb (ou vector), embedding_model text,
+// embedding_hash text.
+// PGRST116 = nenhuma linha em .single(), tratado como "não encontrado".
+// Auditoria na tabela "audit_log": id text pk, at timestamptz, actor_email text, actor jsonb,
+// action text, entity text, entity_id text, before jsonb, after jsonb, meta jsonb.
+// Revisões na tabela "dictionary_revisions": id text pk, item_id text, revision int, at timestamptz,
+// actor jsonb, action text, meta jsonb, data jsonb (unique item_id + revision).
+// Exclusão lógica e revisão atual: colunas deleted_at timestamptz, deleted_by text, revision int default 0.
+// Miniatura da imagem: coluna imagem_thumb_url text. Campos por tipo de conteúdo: campos jsonb default '{}'.
+// Janela, prioridade e campanha: active_from timestamptz, active_until timestamptz, priority real, campaign text.
+// Busca: coluna search_text text (searchText, gravada a cada escrita com os campos do item);
+// a busca, os filtros, a ordenação e a paginação rodam no banco (PostgREST limita as linhas
+// devolvidas por requisição, então nada de trazer a tabela inteira para filtrar em memória).
+
+const TABLE = "dictionary";
+const AUDIT_TABLE = "audit_log";
+const REVISIONS_TABLE = "dictionary_revisions";
+const PAGE_ROWS = 1000;
+
+// Campo de ordenação da API => coluna
+const SORT_COLUMNS = {
+	tipoConteudo: "tipo_conteudo", createdAt: "created_at", updatedAt: "updated_at", deletedAt: "deleted_at",
+	activeFrom: "active_from", activeUntil: "active_until"
+};
+
+const escapeLike = (s) => s.replace(/[\\%_]/g, (c) => `\\${c}`);
+
+// Linhas completas (titulo presente) ganham o texto de busca; patches parciais não mexem nele
+const withSearchText = (row) => ("titulo" in row ? { ...row, search_text: searchText(row) } : row);
+
+// Janela de exibição (schedule.js) em filtros do PostgREST; instantes entre aspas (têm ":" e ".")
+function scheduleFilter(query, status, now) {
+	const started = `active_from.is.null,active_from.lte."${now}"`;
+	if (status === "upcoming") return query.gt("active_from", now);
+	if (status === "expired") return query.or(started).lte("active_until", now);
+	return query.or(started).or(`active_until.is.null,active_until.gt."${now}"`);
+}
+
+export function createSupabaseBackend() {
+	const table = () => getSupabase().from(TABLE);
+
+	return {
+		name: "supabase",
+		// Todas as linhas, em páginas (uma requisição devolve no máximo PAGE_ROWS)
+		async listRows() {
+			const rows = [];
+			for (let from = 0; ; from += PAGE_ROWS) {
+				const { data, error } = await table().select("*").order("id").range(from, from + PAGE_ROWS - 1);
+				if (error) throw error;
+				rows.push(...(data || []));
+				if (!data || data.length < PAGE_ROWS) return rows;
+			}
+		},
+		// Mesma semântica de searchDictItems (search.js), com ordenação do Postgres
+		async searchRows({ q = "", tipoConteudo = "", pago, tags = [], status = null, sort = "createdAt", order = "desc", limit, offset = 0, deleted = false }) {
+			let query = table().select("*", { count: "exact" });
+			query = deleted ? query.not("deleted_at", "is", null) : query.is("deleted_at", null);
+			for (const w of normalizeStr(q).split(/\s+/).filter(Boolean)) query = query.ilike("search_text", `%${escapeLike(w)}%`);
+			for (const t of tags) query = query.ilike("search_text", `%|${escapeLike(normalizeStr(t))}|%`);
+			if (tipoConteudo) query = query.ilike("tipo_conteudo", escapeLike(tipoConteudo));
+			if (pago !== undefined) query = query.eq("pago", pago);
+			if (status) query = scheduleFilter(query, status, new Date().toISOString());
+			query = query.order(SORT_COLUMNS[sort] || sort, { ascending: order === "asc", nullsFirst: false }).order("id");
+			const { data, error, count } = await query.range(offset, offset + limit - 1);
+			if (error) throw error;
+			return { rows: data || [], total: count ?? 0 };
+		},
+		async getRow(id) {
+			const { data, error } = await table().select("*").eq("id", id).single();
+			if (error) {
+				if (error.code === "PGRST116") return null;
+				throw error;
+			}
+			return data;
+		},
+		async insertRow(row) {
+			const { data, error } = await table().insert([withSearchText(row)]).select().single();
+			if (error) throw error;
+			return data;
+		},
+		async updateRow(id, patch) {
+			const { data, error } = await table().update(withSearchText(patch)).eq("id", id).select().single();
+			if (error) {
+				if (error.code === "PGRST116") return null;
+				throw error;
+			}
+			return data;
+		},
+		async deleteRow(id) {
+			const { data, error } = await table().delete().eq("id", id).select("id");
+			if (error) throw error;
+			return (data || []).length > 0;
+		},
+		async appendAudit(entry) {
+			const row = { ...entry, actor_email: entry.actor?.email?.toLowerCase() ?? null };
+			const { error } = await getSupabase().from(AUDIT_TABLE).insert([row]);
+			if (error) throw error;
+			return entry;
+		},
+		async listAudit({ entity = "dictionary", entityId = null, actor = null, action = null, limit, offset }) {
+			let query = getSupabase().from(AUDIT_TABLE).select("*", { count: "exact" }).eq("entity", entity);
+			if (entityId) query = query.eq("entity_id", entityId);
+			if (actor) query = query.eq("actor_email", actor);
+			if (action) query = query.eq("action", action);
+			const { data, error, count } = await query.order("at", { ascending: false }).range(offset, offset + limit - 1);
+			if (error) throw error;
+			return { items: (data || []).map(({ actor_email, ...entry }) => entry), total: count ?? 0 };
+		},
+		async appendRevision(rev) {
+			const { error } = await getSupabase().from(REVISIONS_TABLE).insert([rev]);
+			if (error) throw error;
+			return rev;
+		},
+		async listRevisions(itemId) {
+			const { data, error } = await getSupabase().from(REVISIONS_TABLE).select("*").eq("item_id", itemId).order("revision");
+			if (error) throw error;
+			return data || [];
+		},
+		async deleteRevisions(itemId) {
+			const { data, error } = await getSupabase().from(REVISIONS_TABLE).delete().eq("item_id", itemId).select("id");
+			if (error) throw error;
+			return (data || []).length;
+		}
+	};
+}
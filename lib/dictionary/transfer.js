@@ -0,0 +1,184 @@
+import { normalizeStr } from "../text.js";
+import { parseCsv, toCsv } from "../csv.js";
+import { validateEntry } from "./entry.js";
+import { findContentType } from "./contentTypes.js";
+import { changedFields } from "./audit.js";
+
+// Importação/exportação em lote do dicionário (planilhas da equipe de conteúdo).
+// A importação é planejada linha a linha (planImport) e só depois executada; o dry-run
+// devolve o mesmo relatório sem gravar nada.
+
+export const EXPORT_COLUMNS = ["id", "titulo", "autor", "tipoConteudo", "descricao", "pago", "link", "tags", "imagemUrl", "campos",
+	"activeFrom", "activeUntil", "priority", "campaign", "createdAt", "updatedAt"];
+
+// Cabeçalhos aceitos (comparados sem acento, caixa, espaços, "_" e "-")
+const HEADER_ALIASES = {
+	id: ["id"],
+	titulo: ["titulo", "title", "nome"],
+	autor: ["autor", "author"],
+	tipoConteudo: ["tipoconteudo", "tipo", "tipodeconteudo", "type"],
+	descricao: ["descricao", "description"],
+	pago: ["pago", "paid"],
+	link: ["link", "url"],
+	tags: ["tags", "tag", "categorias", "categoria"],
+	imagemUrl: ["imagemurl", "imagem", "image"],
+	campos: ["campos", "fields"],
+	activeFrom: ["activefrom", "inicio", "exibirapartirde"],
+	activeUntil: ["activeuntil", "fim", "exibirate"],
+	priority: ["priority", "prioridade"],
+	campaign: ["campaign", "campanha"]
+};
+const headerKey = (h) => normalizeStr(String(h)).replace(/[\s_-]+/g, "");
+const HEADER_MAP = new Map(Object.entries(HEADER_ALIASES).flatMap(([field, names]) => names.map(n => [n, field])));
+
+const TAG_SEPARATOR = " | ";
+
+// Células que o Excel/Sheets interpretaria como fórmula (=, +, -, @ ou tab no início) saem com
+// "'" na frente; a importação tira o prefixo, então o CSV exportado continua reimportável.
+const FORMULA_START = /^[=+\-@\t]/;
+const escapeFormula = (v) => (typeof v === "string" && FORMULA_START.test(v) ? `'${v}` : v);
+const unescapeFormula = (v) => (v.startsWith("'") && FORMULA_START.test(v.slice(1)) ? v.slice(1) : v);
+
+/**
+ * CSV => [{ row, input }], row = número da linha na planilha (cabeçalho = 1).
+ * Colunas desconhecidas são ignoradas (listadas em ignoredColumns).
+ */
+export function recordsFromCsv(text) {
+	const [header, ...lines] = parseCsv(text);
+	if (!header) throw new Error("CSV vazio");
+	const fields = header.map(h => HEADER_MAP.get(headerKey(h)) || null);
+	if (!fields.includes("titulo")) throw new Error("CSV sem coluna titulo");
+	const ignoredColumns = header.filter((h, i) => !fields[i] && h.trim());
+	const records = lines.map((cells, i) => {
+		const input = {};
+		fields.forEach((f, j) => {
+			if (f && cells[j] !== undefined) input[f] = unescapeFormula(cells[j]);
+		});
+		return { row: i + 2, input };
+	});
+	return { records, ignoredColumns };
+}
+
+// JSON (lista de itens no formato da API/exportação) => [{ row, input }], row = posição (1..n)
+export function recordsFromJson(data) {
+	if (!Array.isArray(data)) throw new Error("JSON de importação deve ser uma lista de itens");
+	return {
+		records: data.map((input, i) => ({ row: i + 1, input: input && typeof input === "object" ? input : {} })),
+		ignoredColumns: []
+	};
+}
+
+// Tags na planilha: separadas só por "|" (categorias do sumário podem ter vírgula no nome)
+function splitTags(tags) {
+	if (Array.isArray(tags)) return tags.map(String);
+	return String(tags || "").split("|");
+}
+
+const tagKey = (t) => normalizeStr(String(t)).replace(/\s+/g, " ").trim();
+const linkKey = (l) => String(l || "").trim().toLowerCase().replace(/^https?:\/\//, "").replace(/\/+$/, "");
+const titleKey = (t) => normalizeStr(String(t || "")).replace(/\s+/g, " ").trim();
+
+/**
+ * Planeja a importação sem gravar nada.
+ * - tags são mapeadas para as categorias do sumário (sem acento/caixa); as desconhecidas
+ *   são descartadas com aviso
+ * - duplicados: mesmo id, mesmo link ou mesmo título de um item existente ou de uma linha
+ *   anterior do arquivo. Com onDuplicate "update", itens existentes são atualizados (campos
+ *   ausentes na linha são mantidos); com "skip" (padrão), a linha é pulada
+ * - atualização que não muda nenhum campo (ex.: reimportar uma exportação) é pulada com
+ *   unchanged: true, sem gravar revisão nem auditoria
+ * Retorna { rows: [{ row, status, titulo, id?, duplicate_of?, unchanged?, error?, warnings }], actions, summary }
+ * status: "create" | "update" | "skip" | "error"; actions: [{ type: "create"|"update", id?, value }]
+ */
+export function planImport(records, { existing = [], categorias = [], onDuplicate = "skip" } = {}) {
+	const categoryByKey = new Map(categorias.map(c => [tagKey(c), c]));
+	const byId = new Map(existing.map(it => [it.id, it]));
+	const byLink = new Map(existing.filter(it => it.link).map(it => [linkKey(it.link), it]));
+	const byTitle = new Map(existing.map(it => [titleKey(it.titulo), it]));
+	const seenLinks = new Map();
+	const seenTitles = new Map();
+	const touched = new Set();
+
+	const rows = [];
+	const actions = [];
+	for (const { row, input } of records) {
+		const warnings = [];
+		const tags = [];
+		for (const raw of splitTags(input.tags)) {
+			if (!raw.trim()) continue;
+			const cat = categoryByKey.get(tagKey(raw));
+			if (!cat) warnings.push(`tag "${raw.trim()}" não é categoria do sumário (ignorada)`);
+			else if (!tags.includes(cat)) tags.push(cat);
+		}
+
+		const titulo = String(input.titulo || "").trim();
+		const lk = linkKey(input.link);
+		const tk = titleKey(titulo);
+
+		const inFile = (lk && seenLinks.get(lk)) || (tk && seenTitles.get(tk));
+		if (inFile) {
+			rows.push({ row, status: "skip", titulo, duplicate_of: `linha ${inFile}`, warnings });
+			continue;
+		}
+		const match = (input.id && byId.get(String(input.id))) || (lk && byLink.get(lk)) || (tk && byTitle.get(tk)) || null;
+
+		if (match && onDuplicate !== "update") {
+			rows.push({ row, status: "skip", titulo, duplicate_of: match.id, warnings });
+			continue;
+		}
+		if (match && touched.has(match.id)) {
+			rows.push({ row, status: "skip", titulo, duplicate_of: match.id, warnings: [...warnings, "item já atualizado por outra linha"] });
+			continue;
+		}
+
+		// Atualização: campos ausentes na linha ficam como estão (a miniatura só vale para a mesma imagem)
+		const merged = match ? { ...match, ...input, tags: "tags" in input ? tags : match.tags } : { ...input, tags };
+		if (match && "imagemUrl" in input && input.imagemUrl !== match.imagemUrl) merged.imagemThumbUrl = null;
+		// Campos próprios são do tipo: mudar o tipo sem informar campos descarta os do tipo anterior
+		if (match && !("campos" in input) && "tipoConteudo" in input
+			&& findContentType(input.tipoConteudo) !== findContentType(match.tipoConteudo) && Object.keys(match.campos || {}).length) {
+			merged.campos = {};
+			warnings.push("tipo alterado: campos do tipo anterior descartados");
+		}
+		const v = validateEntry(merged);
+		if (!v.ok) {
+			rows.push({ row, status: "error", titulo, error: v.error, warnings });
+			continue;
+		}
+
+		if (lk) seenLinks.set(lk, row);
+		if (tk) seenTitles.set(tk, row);
+		if (match && !changedFields(match, v.value).length) {
+			touched.add(match.id);
+			rows.push({ row, status: "skip", titulo, id: match.id, unchanged: true, warnings });
+		} else if (match) {
+			touched.add(match.id);
+			actions.push({ type: "update", id: match.id, value: v.value, row });
+			rows.push({ row, status: "update", titulo, id: match.id, warnings });
+		} else {
+			actions.push({ type: "create", value: v.value, row });
+			rows.push({ row, status: "create", titulo, warnings });
+		}
+	}
+
+	const summary = { total: rows.length, create: 0, update: 0, skip: 0, error: 0 };
+	for (const r of rows) summary[r.status]++;
+	return { rows, actions, summary };
+}
+
+// Itens (formato da API) => CSV com EXPORT_COLUMNS; tags separadas por " | ", pago como sim/não,
+// campos em JSON (vazio se o item não tem); textos com cara de fórmula escapados
+export function itemsToCsv(items, { delimiter = "," } = {}) {
+	const rows = items.map(it => EXPORT_COLUMNS.map(c => {
+		if (c === "tags") return escapeFormula((it.tags || []).join(TAG_SEPARATOR));
+		if (c === "pago") return it.pago ? "sim" : "não";
+		if (c === "campos") return Object.keys(it.campos || {}).length ? JSON.stringify(it.campos) : "";
+		return escapeFormula(it[c] ?? "");
+	}));
+	return toCsv([EXPORT_COLUMNS, ...rows], { delimiter });
+}
+
+// Itens => JSON de exportação (mesmos campos do CSV; reimportável)
+export function itemsToExportJson(items) {
+	return items.map(it => Object.fromEntries(EXPORT_COLUMNS.map(c => [c, it[c] ?? null])));
+}
@@ -0,0 +1,240 @@
+import fs from "fs/promises";
+import { openSync, fstatSync, readSync, closeSync } from "fs";
+import os from "os";
+import { textHash, writeJsonAtomic } from "./ingest.js";
+
+// Arquivo de embeddings das páginas com cabeçalho:
+// {
+//   header: { format, version, model, dimension, created_at, pages, text_hashes: { [pagina]: hash } },
+//   embeddings: [{ pagina, embedding }]
+// }
+// O formato antigo (lista sem cabeçalho) ainda é lido, mas sem como verificar o modelo.
+//
+// Formato binário (preferido quando existe): matriz Float32 little-endian, uma linha por
+// página, mais um índice JSON { header, encoding, dimension, rows: [pagina, ...] }
+// (linha i = página rows[i]). Sem parse de JSON gigante e ~4 bytes por valor.
+// O servidor abre a matriz sem lê-la inteira (openEmbeddingMatrix/openBinaryEmbeddings): cada
+// linha é lida do disco quando pedida; só o índice vetorial carrega a matriz (uma cópia).
+
+export const EMBEDDING_FILE_FORMAT = "abramede-embeddings";
+export const EMBEDDING_FILE_VERSION = 1;
+
+export function buildEmbeddingFile(embeddings, { model, hashes }) {
+	const textHashes = {};
+	for (const e of embeddings) textHashes[e.pagina] = hashes.get(e.pagina) ?? null;
+	return {
+		header: {
+			format: EMBEDDING_FILE_FORMAT,
+			version: EMBEDDING_FILE_VERSION,
+			model,
+			dimension: embeddings[0]?.embedding.length ?? null,
+			created_at: new Date().toISOString(),
+			pages: embeddings.length,
+			text_hashes: textHashes
+		},
+		embeddings: embeddings.map(e => ({ pagina: e.pagina, embedding: Array.from(e.embedding) }))
+	};
+}
+
+// Aceita o arquivo com cabeçalho ou o formato antigo. Retorna { header | null, embeddings }.
+export function readEmbeddingFile(data) {
+	if (Array.isArray(data)) return { header: null, embeddings: data };
+	if (data?.header?.format !== EMBEDDING_FILE_FORMAT || !Array.isArray(data.embeddings)) {
+		throw new Error("Arquivo de embeddings em formato desconhecido");
+	}
+	if (data.header.version > EMBEDDING_FILE_VERSION) {
+		throw new Error(`Arquivo de embeddings na versão ${data.header.version}; este código lê até a ${EMBEDDING_FILE_VERSION}`);
+	}
+	return { header: data.header, embeddings: data.embeddings };
+}
+
+/**
+ * Recusa embeddings incompatíveis com o modelo das consultas:
+ * modelo diferente, ou vetores com dimensão diferente da declarada.
+ * Arquivos sem cabeçalho passam (não há o que comparar); quem carrega decide se avisa.
+ * dimension (matriz binária): largura única de todas as linhas, sem ler vetor por vetor.
+ */
+export function assertCompatible({ header, embeddings, dimension }, { model }) {
+	if (!header) return;
+	if (header.model !== model) {
+		throw new Error(`Embeddings do livro gerados com ${header.model}, mas as consultas usam ${model}. Rode npm run migrate:embeddings.`);
+	}
+	if (dimension !== undefined) {
+		if (dimension !== header.dimension) throw new Error(`Matriz de embeddings com dimensão ${dimension}, cabeçalho declara ${header.dimension}`);
+		return;
+	}
+	const wrong = embeddings.filter(e => e.embedding?.length !== header.dimension);
+	if (wrong.length) {
+		throw new Error(`${wrong.length} embedding(s) com dimensão diferente de ${header.dimension} (ex.: página ${wrong[0].pagina})`);
+	}
+}
+
+/**
+ * Compara o arquivo com o texto atual das páginas.
+ * - outdatedModel: modelo do arquivo (ou o informado para o formato antigo) difere de model
+ * - changed: páginas cujo texto mudou desde o embedding
+ * - missing: páginas com texto e sem embedding
+ * - removed: embeddings de páginas que não existem mais (ou ficaram vazias)
+ * Sem hash registrado (formato antigo), o texto atual é considerado o de origem.
+ */
+export function diffEmbeddings({ header, embeddings }, pages, { model, fileModel = header?.model ?? null }) {
+	const hashes = header?.text_hashes || {};
+	const current = new Map(pages.filter(p => String(p.texto || "").trim()).map(p => [p.pagina, p.texto]));
+	const embedded = new Set(embeddings.map(e => e.pagina));
+	const changed = [];
+	for (const e of embeddings) {
+		const text = current.get(e.pagina);
+		const stored = hashes[e.pagina];
+		if (text !== undefined && stored && stored !== textHash(text)) changed.push(e.pagina);
+	}
+	return {
+		outdatedModel: fileModel !== model,
+		fileModel,
+		changed,
+		missing: Array.from(current.keys()).filter(pg => !embedded.has(pg)),
+		removed: Array.from(embedded).filter(pg => !current.has(pg))
+	};
+}
+
+export const BINARY_ENCODING = "float32le";
+
+export function encodeBinaryEmbeddings({ header, embeddings }) {
+	const dim = embeddings[0]?.embedding.length || 0;
+	const matrix = new Float32Array(embeddings.length * dim);
+	embeddings.forEach((e, r) => {
+		if (e.embedding.length !== dim) throw new Error(`Página ${e.pagina} com dimensão ${e.embedding.length}, esperado ${dim}`);
+		matrix.set(e.embedding, r * dim);
+	});
+	return {
+		buffer: Buffer.from(matrix.buffer, matrix.byteOffset, matrix.byteLength),
+		index: { header, encoding: BINARY_ENCODING, dimension: dim, rows: embeddings.map(e => e.pagina) }
+	};
+}
+
+// Map somente leitura de página => vetor; row(r) devolve a linha r da matriz
+function createRowMap(rows, row) {
+	const rowByPage = new Map(rows.map((pagina, r) => [pagina, r]));
+	return {
+		get size() { return rowByPage.size; },
+		has: (pagina) => rowByPage.has(pagina),
+		get: (pagina) => {
+			const r = rowByPage.get(pagina);
+			return r === undefined ? undefined : row(r);
+		},
+		keys: () => rowByPage.keys(),
+		*entries() {
+			for (const [pagina, r] of rowByPage) yield [pagina, row(r)];
+		},
+		[Symbol.iterator]() {
+			return this.entries();
+		}
+	};
+}
+
+function checkBinaryIndex(index, byteLength) {
+	if (index?.encoding !== BINARY_ENCODING) throw new Error(`Codificação de embeddings não suportada: ${index?.encoding}`);
+	if (os.endianness() !== "LE") throw new Error("Formato binário de embeddings requer CPU little-endian");
+	const rows = index.rows || [];
+	if (byteLength !== rows.length * index.dimension * 4) {
+		throw new Error(`Matriz de embeddings com ${byteLength} bytes; índice indica ${rows.length} x ${index.dimension} floats`);
+	}
+	return rows;
+}
+
+/**
+ * Decodifica a matriz binária já lida (scripts, que usam todos os vetores) sem copiar os valores.
+ * Retorna { header, embeddings: [{ pagina, embedding (getter) }], embByPage (Map somente leitura) }.
+ */
+export function decodeBinaryEmbeddings(buffer, index) {
+	const rows = checkBinaryIndex(index, buffer.byteLength);
+	const dim = index.dimension;
+	// Float32Array exige alinhamento de 4 bytes; buffers pequenos do pool do Node podem não ter
+	const bytes = buffer.byteOffset % 4 === 0 ? buffer : Buffer.from(buffer);
+	const matrix = new Float32Array(bytes.buffer, bytes.byteOffset, rows.length * dim);
+	const embByPage = createRowMap(rows, (r) => matrix.subarray(r * dim, (r + 1) * dim));
+	const embeddings = rows.map(pagina => ({ pagina, get embedding() { return embByPage.get(pagina); } }));
+	return { header: index.header || null, embeddings, embByPage };
+}
+
+// O descritor fica aberto enquanto o arquivo aberto (e o snapshot que o usa) existir: é fechado
+// quando o objeto é coletado, já que requisições em andamento podem usar um snapshot antigo.
+const matrixFiles = new FinalizationRegistry(fd => {
+	try { closeSync(fd); } catch {}
+});
+
+// Abre a matriz para leituras posicionais: { fd, size, mtimeMs }. O arquivo substituído
+// por rename continua legível pelo descritor (snapshot consistente com o índice lido junto).
+export function openEmbeddingMatrix(filePath) {
+	const fd = openSync(filePath, "r");
+	const { size, mtimeMs } = fstatSync(fd);
+	const file = { fd, size, mtimeMs };
+	matrixFiles.register(file, fd);
+	return file;
+}
+
+function readFully(fd, target, position) {
+	const bytes = new Uint8Array(target.buffer, target.byteOffset, target.byteLength);
+	for (let done = 0; done < bytes.length;) {
+		const n = readSync(fd, bytes, done, Math.min(bytes.length - done, 1 << 26), position + done);
+		if (!n) throw new Error("Matriz de embeddings terminou antes do esperado");
+		done += n;
+	}
+	return target;
+}
+
+/**
+ * Abre a matriz binária sem lê-la: cada get() de embByPage (e cada embedding) lê a linha do
+ * disco e devolve uma cópia do vetor gravado. readMatrix() lê a matriz inteira para uma
+ * Float32Array nova (o índice vetorial, que varre todas as linhas, precisa dela em memória).
+ * Retorna { header, embeddings: [{ pagina, embedding (getter) }], embByPage, rows, dimension, readMatrix }.
+ */
+export function openBinaryEmbeddings(file, index) {
+	const rows = checkBinaryIndex(index, file.size);
+	const dim = index.dimension;
+	const embByPage = createRowMap(rows, (r) => readFully(file.fd, new Float32Array(dim), r * dim * 4));
+	const embeddings = rows.map(pagina => ({ pagina, get embedding() { return embByPage.get(pagina); } }));
+	return {
+		header: index.header || null,
+		embeddings,
+		embByPage,
+		rows,
+		dimension: dim,
+		readMatrix: () => readFully(file.fd, new Float32Array(rows.length * dim), 0)
+	};
+}
+
+/**
+ * Lê os embeddings do disco: binário (matriz + índice) quando existe, senão o JSON.
+ * paths: { jsonPath, binPath, indexPath }. Retorna { header, embeddings, format }.
+ */
+export async function readStoredEmbeddings({ jsonPath, binPath, indexPath }) {
+	const index = await fs.readFile(indexPath, "utf8").then(JSON.parse).catch(e => {
+		if (e?.code === "ENOENT") return null;
+		throw e;
+	});
+	if (index) {
+		const { header, embeddings } = decodeBinaryEmbeddings(await fs.readFile(binPath), index);
+		return { header, embeddings, format: "binary" };
+	}
+	const { header, embeddings } = readEmbeddingFile(JSON.parse(await fs.readFile(jsonPath, "utf8")));
+	return { header, embeddings, format: "json" };
+}
+
+/**
+ * Grava no formato em uso (binário se o índice já existe, senão JSON), ou no informado.
+ * No binário, a matriz é gravada antes do índice; enquanto os dois não batem em tamanho,
+ * o carregamento falha e o servidor mantém o snapshot anterior.
+ */
+export async function writeStoredEmbeddings(file, { jsonPath, binPath, indexPath }, { format } = {}) {
+	const target = format || (await fs.access(indexPath).then(() => "binary", () => "json"));
+	if (target === "binary") {
+		const { buffer, index } = encodeBinaryEmbeddings(file);
+		const tmp = `${binPath}.${process.pid}.tmp`;
+		await fs.writeFile(tmp, buffer);
+		await fs.rename(tmp, binPath);
+		await writeJsonAtomic(indexPath, index);
+	} else {
+		await writeJsonAtomic(jsonPath, file);
+	}
+	return target;
+}
@@ -0,0 +1,159 @@
+import crypto from "crypto";
+import fs from "fs/promises";
+import path from "path";
+
+// Ingestão do livro: leitura do texto extraído, limpeza básica e validação
+// do par livro/embeddings (usado por scripts/ingest-book.js e gerar_sumario.js).
+
+export function textHash(text) {
+	return crypto.createHash("sha1").update(String(text || ""), "utf8").digest("hex").slice(0, 16);
+}
+
+// Escreve em arquivo temporário e renomeia: o servidor nunca lê um arquivo pela metade
+export async function writeJsonAtomic(filePath, data, pretty = false) {
+	const tmp = `${filePath}.${process.pid}.tmp`;
+	await fs.writeFile(tmp, JSON.stringify(data, null, pretty ? 2 : 0), "utf8");
+	await fs.rename(tmp, filePath);
+}
+
+// Limpeza básica do texto extraído (sem heurísticas de layout)
+export function cleanPageText(text) {
+	return String(text || "")
+		.normalize("NFC")
+		.replace(/\r\n?/g, "\n")
+		.replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f\u007f\u00ad\ufeff]/g, "")
+		.replace(/[ \t\u00a0]+/g, " ")
+		.replace(/ *\n */g, "\n")
+		.replace(/\n{3,}/g, "\n\n")
+		.trim();
+}
+
+function pageNumberFromName(name) {
+	const nums = path.basename(name, path.extname(name)).match(/\d+/g);
+	return nums ? parseInt(nums[nums.length - 1], 10) : NaN;
+}
+
+/**
+ * Lê as páginas extraídas. Formatos aceitos:
+ * - arquivo .json: [{ pagina, texto }] ou [texto, ...] (página = posição + 1)
+ * - arquivo .txt: páginas separadas por form feed (\f), como o pdftotext produz
+ * - diretório: um .txt por página; o número da página é o último número do nome (ex.: pagina-0012.txt)
+ * Retorna [{ pagina, texto }] na ordem das páginas, sem limpeza.
+ */
+export async function readPageSource(input) {
+	const stat = await fs.stat(input);
+	let pages;
+	if (stat.isDirectory()) {
+		const names = (await fs.readdir(input)).filter(n => n.toLowerCase().endsWith(".txt"));
+		pages = await Promise.all(names.map(async n => ({
+			pagina: pageNumberFromName(n),
+			texto: await fs.readFile(path.join(input, n), "utf8"),
+			source: n
+		})));
+		const unnumbered = pages.filter(p => !Number.isInteger(p.pagina));
+		if (unnumbered.length) throw new Error(`Arquivos sem número de página no nome: ${unnumbered.map(p => p.source).join(", ")}`);
+		pages = pages.map(({ pagina, texto }) => ({ pagina, texto }));
+	} else if (input.toLowerCase().endsWith(".json")) {
+		const data = JSON.parse(await fs.readFile(input, "utf8"));
+		if (!Array.isArray(data)) throw new Error("JSON de entrada deve ser uma lista de páginas");
+		pages = data.map((p, i) => typeof p === "string"
+			? { pagina: i + 1, texto: p }
+			: { pagina: Number(p.pagina ?? p.page), texto: String(p.texto ?? p.text ?? "") });
+	} else {
+		const raw = await fs.readFile(input, "utf8");
+		pages = raw.split("\f").map((texto, i) => ({ pagina: i + 1, texto }));
+		// pdftotext termina com \f: a última "página" vazia não existe
+		if (pages.length > 1 && !pages[pages.length - 1].texto.trim()) pages.pop();
+	}
+	return pages.sort((a, b) => a.pagina - b.pagina);
+}
+
+const listSample = (arr, max = 10) => arr.slice(0, max).join(", ") + (arr.length > max ? ` (+${arr.length - max})` : "");
+
+/**
+ * Valida só as páginas: números duplicados/inválidos e lacunas na numeração
+ * (erro, ou aviso com allowGaps). Retorna { errors, warnings, numbers } (números ordenados).
+ */
+export function validatePages(pages, { allowGaps = false } = {}) {
+	const errors = [];
+	const warnings = [];
+	const invalid = pages.filter(p => !Number.isInteger(p.pagina));
+	if (invalid.length) errors.push(`${invalid.length} página(s) sem número válido`);
+	const seen = new Set();
+	const dupPages = [];
+	for (const p of pages) {
+		if (seen.has(p.pagina)) dupPages.push(p.pagina);
+		seen.add(p.pagina);
+	}
+	if (dupPages.length) errors.push(`Páginas duplicadas: ${listSample(dupPages)}`);
+
+	const numbers = Array.from(seen).filter(Number.isInteger).sort((a, b) => a - b);
+	const gaps = [];
+	for (let i = 1; i < numbers.length; i++) {
+		for (let n = numbers[i - 1] + 1; n < numbers[i]; n++) gaps.push(n);
+	}
+	if (gaps.length) (allowGaps ? warnings : errors).push(`Páginas ausentes na numeração: ${listSample(gaps)}`);
+
+	const empty = pages.filter(p => !String(p.texto || "").trim()).map(p => p.pagina);
+	if (empty.length) warnings.push(`Páginas sem texto (não recebem embedding): ${listSample(empty)}`);
+	return { errors, warnings, numbers };
+}
+
+/**
+ * Valida livro + embeddings.
+ * Erros: os de validatePages, página com texto sem embedding, embedding de página
+ * inexistente, dimensões inconsistentes ou valores não numéricos, modelo
+ * ausente/diferente nos metadados (cabeçalho do arquivo de embeddings).
+ * Retorna { ok, errors, warnings, stats }.
+ */
+export function validateBookData(pages, embeddings, { meta = null, model = null, allowGaps = false, requireMeta = true } = {}) {
+	const { errors, warnings, numbers } = validatePages(pages, { allowGaps });
+	const pageSet = new Set(numbers);
+
+	const embPages = new Set();
+	const dupEmb = [];
+	const dims = new Map();
+	const badValues = [];
+	for (const e of embeddings) {
+		if (embPages.has(e.pagina)) dupEmb.push(e.pagina);
+		embPages.add(e.pagina);
+		const v = e.embedding;
+		const len = Array.isArray(v) || ArrayBuffer.isView(v) ? v.length : 0;
+		dims.set(len, (dims.get(len) || 0) + 1);
+		if (!len || v.some(x => typeof x !== "number" || !Number.isFinite(x))) badValues.push(e.pagina);
+	}
+	if (dupEmb.length) errors.push(`Embeddings duplicados: ${listSample(dupEmb)}`);
+	if (badValues.length) errors.push(`Embeddings vazios ou com valores inválidos: ${listSample(badValues)}`);
+	if (dims.size > 1) {
+		errors.push(`Dimensões inconsistentes: ${Array.from(dims).map(([d, n]) => `${d} (${n})`).join(", ")}`);
+	}
+
+	const missing = pages.filter(p => String(p.texto || "").trim() && !embPages.has(p.pagina)).map(p => p.pagina);
+	if (missing.length) errors.push(`Páginas sem embedding: ${listSample(missing)}`);
+	const orphan = Array.from(embPages).filter(n => !pageSet.has(n));
+	if (orphan.length) errors.push(`Embeddings de páginas inexistentes: ${listSample(orphan)}`);
+
+	const dimension = dims.size === 1 ? Array.from(dims.keys())[0] : null;
+	if (!meta?.model) {
+		(requireMeta ? errors : warnings).push("Modelo de embedding não registrado nos metadados");
+	} else {
+		if (model && meta.model !== model) errors.push(`Embeddings gerados com ${meta.model}, esperado ${model}`);
+		if (meta.dimension && dimension && meta.dimension !== dimension) {
+			errors.push(`Metadados indicam dimensão ${meta.dimension}, embeddings têm ${dimension}`);
+		}
+	}
+
+	return {
+		ok: errors.length === 0,
+		errors,
+		warnings,
+		stats: {
+			pages: pages.length,
+			first_page: numbers[0] ?? null,
+			last_page: numbers[numbers.length - 1] ?? null,
+			embeddings: embeddings.length,
+			dimension,
+			model: meta?.model || null
+		}
+	};
+}
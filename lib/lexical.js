@@ -0,0 +1,120 @@
+import { normalizeStr } from "./text.js";
+
+// Busca lexical BM25 sobre as páginas do livro.
+// Pipeline de análise: normalizeStr (minúsculas + sem acentos) -> tokens -> stopwords -> stemmer leve.
+
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+const MIN_TOKEN_LEN = 2;
+
+// Stopwords do português já sem acentos (comparadas após normalizeStr)
+export const STOPWORDS = new Set([
+	"a", "o", "as", "os", "ao", "aos", "um", "uma", "uns", "umas",
+	"de", "da", "do", "das", "dos", "dum", "duma", "em", "no", "na", "nos", "nas", "num", "numa",
+	"por", "pelo", "pela", "pelos", "pelas", "para", "pra", "com", "sem", "sob", "sobre", "entre", "ate", "apos", "desde", "contra",
+	"e", "ou", "mas", "nem", "que", "se", "como", "quando", "onde", "porque", "pois", "porem", "tambem", "ja", "so", "ainda",
+	"qual", "quais", "quanto", "quanta", "quantos", "quantas", "quem", "cujo", "cuja",
+	"eu", "tu", "ele", "ela", "eles", "elas", "vos", "voce", "voces", "lhe", "lhes", "me", "te",
+	"meu", "minha", "teu", "tua", "seu", "sua", "seus", "suas", "nosso", "nossa",
+	"este", "esta", "estes", "estas", "esse", "essa", "esses", "essas", "aquele", "aquela", "aqueles", "aquelas", "isto", "isso", "aquilo",
+	"ser", "sao", "foi", "era", "sera", "estar", "estao", "ter", "tem", "tinha", "ha", "haver", "pode", "podem", "deve", "devem",
+	"mais", "menos", "muito", "muita", "muitos", "muitas", "pouco", "outro", "outra", "outros", "outras", "todo", "toda", "todos", "todas",
+	"nao", "sim", "mesmo", "mesma", "cada", "qualquer", "ne", "fazer", "feito"
+]);
+
+// Stemmer leve (plural + gênero + vogal temática), suficiente para unir
+// "convulsões"/"convulsão", "cardíaca"/"cardíaco", "dores"/"dor".
+export function stemPt(token) {
+	let t = token;
+	if (t.length <= 3 || /^\d/.test(t)) return t;
+
+	// Plural
+	if (t.endsWith("oes") || t.endsWith("aes")) t = t.slice(0, -3) + "ao";
+	else if (t.endsWith("ais") && t.length > 4) t = t.slice(0, -3) + "al";
+	else if (t.endsWith("eis") && t.length > 4) t = t.slice(0, -3) + "el";
+	else if (t.endsWith("ois") && t.length > 4) t = t.slice(0, -3) + "ol";
+	else if (t.endsWith("ns") && t.length > 4) t = t.slice(0, -2) + "m";
+	else if (/(r|z|l)es$/.test(t) && t.length > 4) t = t.slice(0, -2);
+	else if (t.endsWith("s") && !/(ss|us|is)$/.test(t)) t = t.slice(0, -1);
+
+	// Diminutivos e advérbios frequentes
+	if (t.endsWith("mente") && t.length > 7) t = t.slice(0, -5);
+	else if (/(inho|inha|zinho|zinha)$/.test(t) && t.length > 6) t = t.replace(/z?inh[oa]$/, "");
+
+	// Vogal final (gênero/temática)
+	if (t.length > 4 && /[aeo]$/.test(t)) t = t.slice(0, -1);
+	return t;
+}
+
+export function tokenize(text) {
+	return normalizeStr(text)
+		.split(/[^a-z0-9]+/)
+		.filter(t => t.length >= MIN_TOKEN_LEN && !STOPWORDS.has(t));
+}
+
+export function analyze(text) {
+	return tokenize(text).map(stemPt);
+}
+
+/**
+ * Índice invertido BM25.
+ * docs: [{ id, text }]
+ */
+export function createBm25Index(docs, { k1 = BM25_K1, b = BM25_B } = {}) {
+	const postings = new Map(); // termo -> Map<id, tf>
+	const docLen = new Map();
+	let totalLen = 0;
+
+	for (const { id, text } of docs || []) {
+		const terms = analyze(text || "");
+		docLen.set(id, terms.length);
+		totalLen += terms.length;
+		const tf = new Map();
+		for (const t of terms) tf.set(t, (tf.get(t) || 0) + 1);
+		for (const [t, n] of tf) {
+			if (!postings.has(t)) postings.set(t, new Map());
+			postings.get(t).set(id, n);
+		}
+	}
+
+	const N = docLen.size;
+	const avgdl = N ? totalLen / N : 0;
+	const idfCache = new Map();
+	function idf(term) {
+		if (idfCache.has(term)) return idfCache.get(term);
+		const df = postings.get(term)?.size || 0;
+		const v = Math.log(1 + (N - df + 0.5) / (df + 0.5));
+		idfCache.set(term, v);
+		return v;
+	}
+
+	return {
+		size: N,
+		analyze,
+
+		// Termos de consulta únicos, já analisados
+		queryTerms(query) {
+			return Array.from(new Set(analyze(query)));
+		},
+
+		score(terms, id) {
+			const dl = docLen.get(id);
+			if (dl === undefined) return 0;
+			let s = 0;
+			for (const t of terms) {
+				const tf = postings.get(t)?.get(id);
+				if (!tf) continue;
+				const denom = tf + k1 * (1 - b + b * (dl / (avgdl || 1)));
+				s += idf(t) * (tf * (k1 + 1)) / denom;
+			}
+			return s;
+		},
+
+		// Documentos que contêm pelo menos um termo (útil para diagnóstico)
+		matching(terms) {
+			const ids = new Set();
+			for (const t of terms) for (const id of postings.get(t)?.keys() || []) ids.add(id);
+			return ids;
+		}
+	};
+}
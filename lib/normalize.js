@@ -0,0 +1,215 @@
+import fs from "fs/promises";
+
+// Normalização do texto das páginas (ruído de OCR/extração de PDF).
+// Cada etapa recebe o texto e devolve { text, changes }; etapas que dependem do livro
+// inteiro (cabeçalhos/rodapés repetidos) têm um prepare(pages) que roda uma vez antes.
+// O texto limpo alimenta embeddings, BM25, prompt e verificação de citações.
+
+export const DEFAULT_NORMALIZE_CONFIG = {
+	steps: ["headersFooters", "enumerationNoise", "authorLists", "dehyphenate", "whitespace"],
+	headersFooters: {
+		scanLines: 2,     // linhas do topo/base de cada página consideradas
+		minPages: 5,      // mínimo de páginas em que a linha se repete
+		minRatio: 0.02    // ... e fração mínima do livro
+	},
+	enumerationNoise: {
+		minRun: 3         // "1. 2. 3." no meio do texto: mínimo de itens seguidos
+	},
+	authorLists: {
+		minNames: 3       // linhas com ao menos N nomes próprios separados por vírgula
+	},
+	dehyphenate: {
+		// Prefixos sempre hifenizados: "pós- operatório" => "pós-operatório" (não "pósoperatório")
+		keepPrefixes: ["pós", "pré", "pró", "recém", "ex", "vice", "além", "aquém", "sem", "bem", "auto", "anti", "sub", "super"]
+	}
+};
+
+const lineKey = (line) => line.toLowerCase().replace(/\d+/g, "#").replace(/\s+/g, " ").trim();
+const PAGE_NUMBER_LINE = /^(?:p[áa]g(?:ina)?\.?\s*)?\d{1,4}$/i;
+
+// Linhas de topo/base; páginas curtas (só "borda") ficam fora da detecção de repetidas
+function edgeLineIndexes(lines, scanLines) {
+	const nonEmpty = [];
+	lines.forEach((l, i) => { if (l.trim()) nonEmpty.push(i); });
+	const edges = new Set([...nonEmpty.slice(0, scanLines), ...nonEmpty.slice(-scanLines)]);
+	return { edges, hasBody: nonEmpty.length > 2 * scanLines };
+}
+
+const NAME_PARTICLES = new Set(["de", "da", "do", "das", "dos", "e", "di", "van", "von", "del"]);
+function looksLikeName(chunk) {
+	const words = chunk.trim().split(/\s+/).filter(Boolean);
+	if (words.length < 2 || words.length > 7) return false;
+	return words.every(w => NAME_PARTICLES.has(w) || /^\p{Lu}[\p{L}'’-]*\.?$/u.test(w));
+}
+
+export const NORMALIZE_STEPS = {
+	// Cabeçalhos/rodapés correntes: linhas do topo/base repetidas em muitas páginas
+	// (números viram "#" na comparação) e linhas só com o número da página
+	headersFooters: {
+		prepare(pages, opts) {
+			const counts = new Map();
+			for (const p of pages) {
+				const lines = String(p.texto || "").split("\n");
+				const { edges, hasBody } = edgeLineIndexes(lines, opts.scanLines);
+				if (!hasBody) continue;
+				const keys = new Set(Array.from(edges).map(i => lineKey(lines[i])));
+				for (const k of keys) counts.set(k, (counts.get(k) || 0) + 1);
+			}
+			const min = Math.max(opts.minPages, Math.ceil(opts.minRatio * pages.length));
+			return { repeated: new Set(Array.from(counts).filter(([k, n]) => k && n >= min).map(([k]) => k)) };
+		},
+		apply(text, opts, ctx) {
+			const lines = text.split("\n");
+			const { edges, hasBody } = edgeLineIndexes(lines, opts.scanLines);
+			const changes = [];
+			const kept = lines.filter((line, i) => {
+				if (!edges.has(i)) return true;
+				const trimmed = line.trim();
+				if ((hasBody && ctx.repeated.has(lineKey(line))) || PAGE_NUMBER_LINE.test(trimmed)) {
+					changes.push({ before: trimmed, after: "" });
+					return false;
+				}
+				return true;
+			});
+			return { text: kept.join("\n"), changes };
+		}
+	},
+
+	// Numeração solta da extração: linhas só com "1." / "1. 2. 3." e sequências "1. 2. 3. 4." no texto
+	enumerationNoise: {
+		apply(text, opts) {
+			const changes = [];
+			const runRe = new RegExp(`(?:^|(?<=\\s))(?:\\d{1,3}\\.\\s+){${opts.minRun - 1},}\\d{1,3}\\.(?=\\s|$)`, "gm");
+			const out = text
+				.split("\n")
+				.filter(line => {
+					if (/^\s*(?:\d{1,3}\.\s*)+$/.test(line)) {
+						changes.push({ before: line.trim(), after: "" });
+						return false;
+					}
+					return true;
+				})
+				.join("\n")
+				.replace(runRe, m => {
+					changes.push({ before: m, after: "" });
+					return "";
+				});
+			return { text: out, changes };
+		}
+	},
+
+	// Listas de autores (aberturas de capítulo): linha formada só por nomes próprios separados por vírgula
+	authorLists: {
+		apply(text, opts) {
+			const changes = [];
+			const kept = text.split("\n").filter(line => {
+				const chunks = line.split(/,|\s+e\s+(?=\p{Lu})/u).map(c => c.trim()).filter(Boolean);
+				if (chunks.length >= opts.minNames && !/\d/.test(line) && chunks.every(looksLikeName)) {
+					changes.push({ before: line.trim(), after: "" });
+					return false;
+				}
+				return true;
+			});
+			return { text: kept.join("\n"), changes };
+		}
+	},
+
+	// Palavras quebradas na virada de linha: "convul-\nsões" / "convul- sões" => "convulsões"
+	dehyphenate: {
+		apply(text, opts) {
+			const keep = new Set(opts.keepPrefixes.map(p => p.toLowerCase()));
+			const changes = [];
+			const out = text.replace(/(\p{L}+)-[ \t]*(?:\n[ \t]*|[ \t]+)(\p{Ll}+)/gu, (m, left, right) => {
+				const joined = keep.has(left.toLowerCase()) ? `${left}-${right}` : `${left}${right}`;
+				changes.push({ before: m, after: joined });
+				return joined;
+			});
+			return { text: out, changes };
+		}
+	},
+
+	// Espaços: sem espaços repetidos, sem espaço antes de pontuação, no máximo uma linha em branco
+	whitespace: {
+		apply(text) {
+			let count = 0;
+			let out = text;
+			const sub = (re, replacement) => {
+				out = out.replace(re, () => {
+					count++;
+					return replacement;
+				});
+			};
+			sub(/[ \t\u00a0]{2,}/g, " ");
+			sub(/[ \t]+(?=[,.;:!?)\]])/g, "");
+			sub(/(?<=[(\[])[ \t]+/g, "");
+			sub(/^[ \t]+|[ \t]+$/gm, "");
+			sub(/\n{3,}/g, "\n\n");
+			return { text: out.trim(), changes: count ? [{ before: null, after: null, count }] : [] };
+		}
+	}
+};
+
+export function resolveNormalizeConfig(overrides = {}) {
+	const config = { ...DEFAULT_NORMALIZE_CONFIG, ...overrides };
+	for (const name of Object.keys(NORMALIZE_STEPS)) {
+		config[name] = { ...DEFAULT_NORMALIZE_CONFIG[name], ...(overrides[name] || {}) };
+	}
+	const unknown = config.steps.filter(s => !NORMALIZE_STEPS[s]);
+	if (unknown.length) throw new Error(`Etapas de normalização desconhecidas: ${unknown.join(", ")}`);
+	return config;
+}
+
+// Configuração opcional em JSON (mesmo formato de DEFAULT_NORMALIZE_CONFIG, só o que muda)
+export async function loadNormalizeConfig(filePath) {
+	try {
+		return resolveNormalizeConfig(JSON.parse(await fs.readFile(filePath, "utf8")));
+	} catch (e) {
+		if (e?.code === "ENOENT") return resolveNormalizeConfig();
+		throw e;
+	}
+}
+
+/**
+ * Aplica as etapas configuradas a todas as páginas.
+ * Retorna { pages: [{ pagina, texto }], report } com, por página alterada,
+ * { pagina, chars_before, chars_after, changes: [{ step, before, after, count? }] }
+ * e um resumo de alterações por etapa.
+ */
+export function normalizePages(pages, config = resolveNormalizeConfig()) {
+	const contexts = {};
+	for (const name of config.steps) {
+		const step = NORMALIZE_STEPS[name];
+		contexts[name] = step.prepare ? step.prepare(pages, config[name] || {}) : null;
+	}
+	const byStep = Object.fromEntries(config.steps.map(s => [s, 0]));
+	const pageReports = [];
+	const out = pages.map(p => {
+		const original = String(p.texto || "");
+		let text = original;
+		const changes = [];
+		for (const name of config.steps) {
+			const result = NORMALIZE_STEPS[name].apply(text, config[name] || {}, contexts[name]);
+			text = result.text;
+			for (const c of result.changes) {
+				changes.push({ step: name, ...c });
+				byStep[name] += c.count || 1;
+			}
+		}
+		if (text !== original) {
+			pageReports.push({ pagina: p.pagina, chars_before: original.length, chars_after: text.length, changes });
+		}
+		return { pagina: p.pagina, texto: text };
+	});
+	return {
+		pages: out,
+		report: {
+			generated_at: new Date().toISOString(),
+			steps: config.steps,
+			pages_total: pages.length,
+			pages_changed: pageReports.length,
+			changes_by_step: byStep,
+			repeated_headers: contexts.headersFooters ? Array.from(contexts.headersFooters.repeated) : [],
+			pages: pageReports
+		}
+	};
+}
@@ -1,5 +0,0 @@
-import OpenAI from "openai";
-
-export const openai = new OpenAI({
-	apiKey: process.env.OPENAI_API_KEY
-});
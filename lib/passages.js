@@ -0,0 +1,157 @@
+import { textHash } from "./ingest.js";
+
+// Passagens: trechos sobrepostos do livro usados como unidade de recuperação.
+// O livro é tratado como um fluxo contínuo (páginas concatenadas), então uma passagem
+// pode atravessar a virada de página. Cada passagem guarda spans com offsets por página,
+// o que permite citar sempre pelo número da página de origem.
+//
+// Arquivo data/abramede_passagens.json (scripts/build-passages.js), com o mesmo tipo de
+// cabeçalho dos embeddings das páginas:
+// {
+//   header: { format, version, model, dimension, created_at, passages, size, overlap, text_hashes: { [pagina]: hash } },
+//   passages: [{ id, spans: [{ pagina, start, end }], embedding }]
+// }
+// Os offsets só valem para o texto de que vieram: texto de página alterado invalida o arquivo.
+
+export const PASSAGE_SIZE = 900;     // caracteres por passagem (alvo)
+export const PASSAGE_OVERLAP = 150;  // sobreposição entre passagens consecutivas
+
+const PAGE_SEPARATOR = "\n";
+const SEGMENT_GAP = " [...] ";
+
+// Recua o corte até o fim de frase (ou espaço) mais próximo, sem encolher demais a passagem
+function findCut(stream, start, end, size) {
+	if (end >= stream.length) return stream.length;
+	const minEnd = start + Math.floor(size * 0.6);
+	const window = stream.slice(minEnd, end);
+	const sentence = Math.max(window.lastIndexOf(". "), window.lastIndexOf("\n"), window.lastIndexOf("; "));
+	if (sentence !== -1) return minEnd + sentence + 1;
+	const space = window.lastIndexOf(" ");
+	return space !== -1 ? minEnd + space : end;
+}
+
+/**
+ * pages: [{ pagina, texto }]
+ * Retorna [{ id, spans: [{ pagina, start, end }] }] (offsets no texto de cada página).
+ */
+export function splitIntoPassages(pages, { size = PASSAGE_SIZE, overlap = PASSAGE_OVERLAP } = {}) {
+	const sorted = [...(pages || [])].sort((a, b) => a.pagina - b.pagina);
+	const bounds = [];
+	let stream = "";
+	for (const p of sorted) {
+		const texto = String(p.texto || "");
+		bounds.push({ pagina: p.pagina, start: stream.length, length: texto.length });
+		stream += texto + PAGE_SEPARATOR;
+	}
+
+	const passages = [];
+	let pos = 0;
+	while (pos < stream.length) {
+		const end = findCut(stream, pos, Math.min(stream.length, pos + size), size);
+		const spans = [];
+		for (const b of bounds) {
+			const s = Math.max(pos, b.start) - b.start;
+			const e = Math.min(end, b.start + b.length) - b.start;
+			if (e > s && stream.slice(b.start + s, b.start + e).trim()) spans.push({ pagina: b.pagina, start: s, end: e });
+		}
+		if (spans.length) passages.push({ id: passages.length, spans });
+		if (end >= stream.length) break;
+		// Próxima passagem começa "overlap" caracteres antes, alinhada a início de palavra
+		let next = Math.max(pos + 1, end - overlap);
+		const space = stream.indexOf(" ", next);
+		if (space !== -1 && space < end) next = space + 1;
+		pos = next;
+	}
+	return passages;
+}
+
+export function passageText(passage, pageMap) {
+	return passage.spans
+		.map(s => (pageMap.get(s.pagina) || "").slice(s.start, s.end))
+		.join(PAGE_SEPARATOR)
+		.trim();
+}
+
+export function passagePages(passage) {
+	return Array.from(new Set(passage.spans.map(s => s.pagina)));
+}
+
+/**
+ * Junta os spans das passagens selecionadas por página (mesclando sobreposições).
+ * Retorna Map<pagina, texto> para montar o prompt no formato "Página N:".
+ */
+export function segmentsByPage(passages, pageMap) {
+	const ranges = new Map();
+	for (const p of passages) {
+		for (const s of p.spans) {
+			if (!ranges.has(s.pagina)) ranges.set(s.pagina, []);
+			ranges.get(s.pagina).push([s.start, s.end]);
+		}
+	}
+	const out = new Map();
+	for (const [pagina, list] of ranges) {
+		list.sort((a, b) => a[0] - b[0]);
+		const merged = [];
+		for (const [s, e] of list) {
+			const last = merged[merged.length - 1];
+			if (last && s <= last[1]) last[1] = Math.max(last[1], e);
+			else merged.push([s, e]);
+		}
+		const text = pageMap.get(pagina) || "";
+		out.set(pagina, merged.map(([s, e]) => text.slice(s, e).trim()).filter(Boolean).join(SEGMENT_GAP));
+	}
+	return out;
+}
+
+export const PASSAGES_FILE_FORMAT = "abramede-passages";
+export const PASSAGES_FILE_VERSION = 1;
+
+// pages: as páginas usadas para dividir (hash do texto de cada uma vai para o cabeçalho)
+export function buildPassagesFile(passages, { model, pages, size, overlap }) {
+	const textHashes = {};
+	for (const p of pages) textHashes[p.pagina] = textHash(String(p.texto || ""));
+	return {
+		header: {
+			format: PASSAGES_FILE_FORMAT,
+			version: PASSAGES_FILE_VERSION,
+			model,
+			dimension: passages[0]?.embedding.length ?? null,
+			created_at: new Date().toISOString(),
+			passages: passages.length,
+			size,
+			overlap,
+			text_hashes: textHashes
+		},
+		passages: passages.map(p => ({ id: p.id, spans: p.spans, embedding: Array.from(p.embedding) }))
+	};
+}
+
+/**
+ * Confere o arquivo de passagens contra o modelo das consultas, a dimensão dos embeddings
+ * das páginas e o texto atual do livro.
+ * Retorna { ok: true, value: passages } ou { ok: false, error } (arquivo deve ser ignorado).
+ */
+export function checkPassagesFile(data, { model, dimension, pages }) {
+	if (Array.isArray(data)) return { ok: false, error: "arquivo sem cabeçalho (formato antigo)" };
+	const header = data?.header;
+	if (header?.format !== PASSAGES_FILE_FORMAT || !Array.isArray(data.passages)) {
+		return { ok: false, error: "formato desconhecido" };
+	}
+	if (header.version > PASSAGES_FILE_VERSION) {
+		return { ok: false, error: `versão ${header.version}; este código lê até a ${PASSAGES_FILE_VERSION}` };
+	}
+	if (header.model !== model) return { ok: false, error: `gerado com ${header.model}, consultas usam ${model}` };
+	if (header.dimension !== dimension) {
+		return { ok: false, error: `dimensão ${header.dimension}, embeddings das páginas têm ${dimension}` };
+	}
+	const wrong = data.passages.filter(p => p.embedding?.length !== dimension);
+	if (wrong.length) return { ok: false, error: `${wrong.length} passagem(ns) com dimensão diferente de ${dimension}` };
+	const hashes = header.text_hashes || {};
+	const current = new Map(pages.map(p => [String(p.pagina), textHash(String(p.texto || ""))]));
+	const changed = Object.keys(hashes).filter(pg => current.get(pg) !== hashes[pg]);
+	const added = Array.from(current.keys()).filter(pg => !(pg in hashes));
+	if (changed.length || added.length) {
+		return { ok: false, error: `texto do livro mudou desde a geração (${changed.length} página(s) alterada(s) ou removida(s), ${added.length} nova(s))` };
+	}
+	return { ok: true, value: data.passages };
+}
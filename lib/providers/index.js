@@ -0,0 +1,50 @@
+import { LLM_PROVIDER, EMB_MODEL } from "../constants.js";
+import { createOpenAIProvider } from "./openai.js";
+import { createStubProvider } from "./stub.js";
+
+// Interface comum a todos os providers:
+// - chat(req, { purpose }) -> resposta no formato chat.completions da OpenAI
+//   (purpose: "classify" | "rewrite" | "summary" | "dict" | "answer", usado pelo stub)
+// - embed({ model, input }) -> { model, data: [{ embedding }] } (model: o modelo que gerou os vetores)
+// - embeddingModel(model) -> id do modelo que embed informará para o modelo pedido
+// - transcribe({ buffer, filename, mime, model, language }) -> string
+const factories = {
+	openai: createOpenAIProvider,
+	stub: createStubProvider
+};
+
+let current = null;
+
+export function getProvider() {
+	if (!current) {
+		const factory = factories[LLM_PROVIDER];
+		if (!factory) throw new Error(`LLM_PROVIDER desconhecido: ${LLM_PROVIDER}`);
+		current = factory();
+	}
+	return current;
+}
+
+// Modelo de embedding efetivo do provider atual: é o que vai para cabeçalhos, checkpoints e linhas
+// do dicionário, e o que se compara com eles (OpenAI: EMB_MODEL; stub: stub-hash-<dim>)
+export function embeddingModelId() {
+	const provider = getProvider();
+	return provider.embeddingModel ? provider.embeddingModel(EMB_MODEL) : EMB_MODEL;
+}
+
+/**
+ * Embeddings dos textos com o modelo informado pelo provider na resposta.
+ * Retorna { model, embeddings }; falha se o provider responder com outro modelo que não o
+ * esperado (vetores de modelos diferentes não podem ser misturados).
+ */
+export async function embedTexts(input) {
+	const expected = embeddingModelId();
+	const resp = await getProvider().embed({ model: EMB_MODEL, input });
+	const model = resp.model || expected;
+	if (model !== expected) throw new Error(`Provider gerou embeddings com ${model}, esperado ${expected}`);
+	return { model, embeddings: resp.data.map(d => d.embedding) };
+}
+
+// Permite trocar o provider em tempo de execução (ex.: scripts locais)
+export function setProvider(provider) {
+	current = provider;
+}
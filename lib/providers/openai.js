@@ -0,0 +1,29 @@
+import OpenAI from "openai";
+import { toFile } from "openai/uploads";
+
+// Cliente criado sob demanda: permite importar o módulo sem OPENAI_API_KEY (ex.: modo stub)
+let client = null;
+function getClient() {
+	if (!client) client = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+	return client;
+}
+
+export function createOpenAIProvider() {
+	return {
+		name: "openai",
+		chat(req) {
+			return getClient().chat.completions.create(req);
+		},
+		embed(req) {
+			return getClient().embeddings.create(req);
+		},
+		embeddingModel(model) {
+			return model;
+		},
+		async transcribe({ buffer, filename, mime, model, language }) {
+			const file = await toFile(buffer, filename, { type: mime });
+			const resp = await getClient().audio.transcriptions.create({ model, file, language });
+			return (resp && (resp.text || resp.transcript || resp?.results?.[0]?.transcript)) || "";
+		}
+	};
+}
@@ -0,0 +1,135 @@
+import fs from "fs";
+import { normalizeStr, seedFromString } from "../text.js";
+
+// Provider local e determinístico: nenhuma chamada de rede, nenhuma API key.
+// - chat: respostas roteiradas (LLM_STUB_SCRIPT) ou heurísticas por etapa (purpose)
+// - embeddings: feature hashing dos tokens normalizados (textos parecidos => vetores parecidos),
+//   informados como modelo "stub-hash-<dim>" (nunca se passam por embeddings da OpenAI)
+// - transcrição: texto roteirado (ou vazio)
+//
+// Formato do roteiro (JSON):
+// {
+//   "chat": {
+//     "classify": "{\"is_question\": true, \"category\": \"question\", \"confidence\": 1}",
+//     "answer": [{ "match": "dose", "content": "- Página 10: \"...\"" }]
+//   },
+//   "transcription": "qual a dose de adrenalina na PCR?"
+// }
+
+const DEFAULT_EMB_DIM = 1536;
+const GREETING_RE = /^(oi|ola|bom dia|boa tarde|boa noite|e ai|tudo bem|obrigad[oa])\b/;
+
+function loadScript(scriptPath) {
+	if (!scriptPath) return {};
+	try {
+		return JSON.parse(fs.readFileSync(scriptPath, "utf8")) || {};
+	} catch (e) {
+		console.warn(`LLM_STUB_SCRIPT inválido (${scriptPath}):`, String(e?.message || e));
+		return {};
+	}
+}
+
+function lastUserContent(messages) {
+	const users = (messages || []).filter(m => m.role === "user");
+	return String(users[users.length - 1]?.content || "");
+}
+
+function fromScript(entry, text) {
+	if (typeof entry === "string") return entry;
+	if (!Array.isArray(entry)) return null;
+	for (const rule of entry) {
+		if (!rule || typeof rule.content !== "string") continue;
+		if (!rule.match || new RegExp(rule.match, "i").test(text)) return rule.content;
+	}
+	return null;
+}
+
+// Respostas padrão por etapa do pipeline
+function defaultContent(purpose, text) {
+	if (purpose === "classify") {
+		const m = text.match(/"""([\s\S]*)"""/);
+		const input = normalizeStr((m ? m[1] : text).trim());
+		const isGreeting = GREETING_RE.test(input) && !input.includes("?");
+		return JSON.stringify(isGreeting
+			? { is_question: false, category: "greeting", confidence: 1 }
+			: { is_question: true, category: "question", confidence: 1 });
+	}
+	if (purpose === "rewrite") {
+		// Perguntas curtas são tratadas como seguimento da última pergunta do histórico
+		const history = text.match(/^\d+\. (.*)$/gm) || [];
+		const last = (history[history.length - 1] || "").replace(/^\d+\. /, "").replace(/[?.!\s]+$/, "");
+		const m = text.match(/Pergunta atual: """([\s\S]*)"""/);
+		const current = (m ? m[1] : text).trim();
+		const isFollowUp = Boolean(last) && current.split(/\s+/).length <= 6;
+		return JSON.stringify({
+			standalone_question: isFollowUp ? `${last}: ${current}` : current,
+			is_follow_up: isFollowUp
+		});
+	}
+	if (purpose === "summary") return JSON.stringify({ relevant_indices: [] });
+	if (purpose === "dict") return JSON.stringify({ recommendedIds: [] });
+	if (purpose === "answer") {
+		// Cita literalmente a primeira frase da primeira página do contexto
+		const m = text.match(/Página (\d+):\n([\s\S]*?)(?=\n\nPágina \d+:|\n\nCom base|$)/);
+		if (!m) return "Nenhum trecho encontrado no livro.";
+		const body = m[2].replace(/\s+/g, " ").trim();
+		const sentence = (body.match(/^.{20,300}?[.!?](?=\s|$)/) || [body.slice(0, 300)])[0];
+		return sentence ? `- Página ${m[1]}: "${sentence}"` : "Nenhum trecho encontrado no livro.";
+	}
+	return "";
+}
+
+function hashEmbedding(text, dim) {
+	const vec = new Array(dim).fill(0);
+	const tokens = normalizeStr(text).split(/\W+/).filter(Boolean);
+	for (const t of tokens) {
+		// Sinal de um segundo hash, independente do balde: com dim par, h & 1 fixaria o sinal de
+		// cada balde. Os bits do djb2 acompanham os do hash anterior, então o segundo hash é
+		// misturado (multiplicação de Fibonacci) e o sinal sai do bit alto.
+		const h = seedFromString(t);
+		vec[h % dim] += (Math.imul(seedFromString(t + "#"), 0x9E3779B1) >>> 31) ? 1 : -1;
+	}
+	const n = Math.sqrt(vec.reduce((s, x) => s + x * x, 0)) || 1;
+	return vec.map(x => x / n);
+}
+
+export function createStubProvider({ scriptPath = process.env.LLM_STUB_SCRIPT, embDim } = {}) {
+	const script = loadScript(scriptPath);
+	const dim = Number(embDim || process.env.LLM_STUB_EMB_DIM) || DEFAULT_EMB_DIM;
+	const embModel = `stub-hash-${dim}`;
+
+	return {
+		name: "stub",
+		async chat(req, { purpose } = {}) {
+			const text = lastUserContent(req.messages);
+			const scripted = fromScript(script.chat?.[purpose], text);
+			const content = scripted ?? defaultContent(purpose, text);
+			const promptChars = (req.messages || []).reduce((s, m) => s + String(m.content || "").length, 0);
+			return {
+				id: `stub-${seedFromString(`${purpose}|${text}`).toString(36)}`,
+				model: req.model,
+				created: 0,
+				usage: {
+					prompt_tokens: Math.ceil(promptChars / 4),
+					completion_tokens: Math.ceil(content.length / 4),
+					total_tokens: Math.ceil((promptChars + content.length) / 4)
+				},
+				choices: [{ index: 0, finish_reason: "stop", message: { role: "assistant", content } }]
+			};
+		},
+		async embed(req) {
+			const inputs = Array.isArray(req.input) ? req.input : [req.input];
+			return {
+				model: embModel,
+				data: inputs.map((input, index) => ({ index, embedding: hashEmbedding(String(input || ""), dim) })),
+				usage: { prompt_tokens: 0, total_tokens: 0 }
+			};
+		},
+		embeddingModel() {
+			return embModel;
+		},
+		async transcribe() {
+			return typeof script.transcription === "string" ? script.transcription : "";
+		}
+	};
+}
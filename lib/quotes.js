@@ -0,0 +1,191 @@
+// Verificação das citações literais ("Página N: "recorte"") contra o texto das páginas.
+// Tolerâncias: caixa, acentos, aspas/travessões tipográficos, espaços e hifenização
+// de quebra de linha ("convul- sões"). Fora disso, usa distância de edição aproximada.
+
+const MATCH_THRESHOLD = 0.85; // similaridade mínima para aceitar um recorte
+const MAX_FUZZY_QUOTE = 600;  // limita o custo da busca aproximada (caracteres do recorte)
+
+// Uma citação por linha: "Página N: "recorte"" com pontuação final opcional (. , ;).
+// Linhas com "Página N:" fora desse formato não podem ser conferidas e saem como "unverified".
+const PAGE_LINE_RE = /P[áa]gina\s+(\d+)\s*[:\-–—]/i;
+const QUOTE_RE = /^P[áa]gina\s+(\d+)\s*[:\-–—]\s*["“”]([^"”\n]+)["”][ \t]*[.,;]?[ \t]*$/i;
+
+function round(n) {
+	return Math.round(n * 1000) / 1000;
+}
+
+function foldChar(c) {
+	const base = c.normalize("NFD").replace(/[\u0300-\u036f]/g, "").toLowerCase();
+	if (/[“”«»„"]/.test(base)) return "\"";
+	if (/[‘’`´]/.test(base)) return "'";
+	if (/[‐‑‒–—]/.test(base)) return "-";
+	return base.length === 1 ? base : c.toLowerCase();
+}
+
+/**
+ * Normaliza o texto mantendo um mapa para os offsets originais.
+ * Retorna { text, offsets } onde offsets[i] é o índice no texto original do caractere i.
+ */
+export function normalizeForMatch(original) {
+	const src = String(original || "");
+	const out = [];
+	const offsets = [];
+	let i = 0;
+	while (i < src.length) {
+		const c = src[i];
+		// Hifenização de quebra: letra + "-" + espaço(s)/quebra + minúscula => junta a palavra
+		if (c === "-" && /\p{L}/u.test(src[i - 1] || "")) {
+			const m = /^-[ \t]*\r?\n\s*|^-\s+(?=\p{Ll})/u.exec(src.slice(i, i + 8));
+			if (m && /\p{Ll}/u.test(src[i + m[0].length] || "")) {
+				i += m[0].length;
+				continue;
+			}
+		}
+		if (/\s/.test(c)) {
+			if (out.length && out[out.length - 1] !== " ") {
+				out.push(" ");
+				offsets.push(i);
+			}
+			i++;
+			continue;
+		}
+		out.push(foldChar(c));
+		offsets.push(i);
+		i++;
+	}
+	while (out.length && out[out.length - 1] === " ") {
+		out.pop();
+		offsets.pop();
+	}
+	return { text: out.join(""), offsets };
+}
+
+// Melhor ocorrência aproximada do padrão dentro do texto (Sellers): { distance, start, end }
+function approxSubstring(pattern, text) {
+	const m = pattern.length;
+	const n = text.length;
+	let prev = new Int32Array(m + 1);
+	let prevStart = new Int32Array(m + 1);
+	let cur = new Int32Array(m + 1);
+	let curStart = new Int32Array(m + 1);
+	for (let i = 0; i <= m; i++) prev[i] = i;
+	let best = { distance: m, start: 0, end: 0 };
+	for (let j = 1; j <= n; j++) {
+		cur[0] = 0;
+		curStart[0] = j;
+		const tc = text[j - 1];
+		for (let i = 1; i <= m; i++) {
+			const sub = prev[i - 1] + (pattern[i - 1] === tc ? 0 : 1);
+			const del = prev[i] + 1;
+			const ins = cur[i - 1] + 1;
+			if (sub <= del && sub <= ins) { cur[i] = sub; curStart[i] = prevStart[i - 1]; }
+			else if (del <= ins) { cur[i] = del; curStart[i] = prevStart[i]; }
+			else { cur[i] = ins; curStart[i] = curStart[i - 1]; }
+		}
+		if (cur[m] < best.distance) best = { distance: cur[m], start: curStart[m], end: j };
+		[prev, cur] = [cur, prev];
+		[prevStart, curStart] = [curStart, prevStart];
+	}
+	return best;
+}
+
+/**
+ * Procura o recorte no texto da página.
+ * Retorna { similarity, start, end } com offsets no texto ORIGINAL da página, ou null.
+ */
+export function locateQuote(quote, pageText) {
+	const q = normalizeForMatch(quote).text;
+	const page = normalizeForMatch(pageText);
+	if (!q || !page.text) return null;
+
+	const toOriginal = (start, end) => ({
+		start: page.offsets[start],
+		end: page.offsets[end - 1] + 1
+	});
+
+	const exact = page.text.indexOf(q);
+	if (exact !== -1) return { similarity: 1, ...toOriginal(exact, exact + q.length) };
+	if (q.length > MAX_FUZZY_QUOTE) return null;
+
+	const { distance, start, end } = approxSubstring(q, page.text);
+	if (end <= start) return null;
+	return { similarity: 1 - distance / q.length, ...toOriginal(start, end) };
+}
+
+/**
+ * Citações da resposta, linha a linha: [{ page, quote, index, length }].
+ * quote é null quando a linha cita uma página mas o recorte não está no formato esperado
+ * (sem aspas, aspas internas, texto depois do recorte...); index/length cobrem da "Página" ao fim da linha.
+ */
+export function parseQuotes(answer) {
+	const quotes = [];
+	let offset = 0;
+	for (const rawLine of String(answer || "").split("\n")) {
+		const line = rawLine.replace(/\r$/, "");
+		const head = PAGE_LINE_RE.exec(line);
+		if (head) {
+			const rest = line.slice(head.index);
+			const m = QUOTE_RE.exec(rest);
+			quotes.push(m
+				? { page: parseInt(m[1], 10), quote: m[2].trim(), index: offset + head.index, length: m[0].length }
+				: { page: parseInt(head[1], 10), quote: null, index: offset + head.index, length: rest.length });
+		}
+		offset += rawLine.length + 1;
+	}
+	return quotes;
+}
+
+/**
+ * Verifica cada citação da resposta.
+ * - verified: encontrada na página citada
+ * - page_corrected: encontrada em outra página do contexto (número corrigido)
+ * - fabricated: não encontrada no contexto (removida ou sinalizada conforme policy)
+ * - unverified: linha "Página N:" cujo recorte não pôde ser lido (mesmo tratamento de fabricated)
+ * Retorna { answer, quotes: [{ page, cited_page, status, similarity, start, end, quote }] }.
+ */
+export function verifyQuotes(answer, { pageMap, contextPages = [], policy = "drop" }) {
+	const parsed = parseQuotes(answer);
+	if (!parsed.length) return { answer, quotes: [] };
+
+	const results = parsed.map(({ page, quote, index, length }) => {
+		if (quote === null) {
+			const line = String(answer).slice(index, index + length).trim();
+			return { page: null, cited_page: page, status: "unverified", similarity: null, start: null, end: null, quote: line };
+		}
+		const onCited = pageMap.has(page) ? locateQuote(quote, pageMap.get(page)) : null;
+		if (onCited && onCited.similarity >= MATCH_THRESHOLD) {
+			return { page, cited_page: page, status: "verified", similarity: round(onCited.similarity), start: onCited.start, end: onCited.end, quote };
+		}
+		let best = null;
+		for (const other of contextPages) {
+			if (other === page) continue;
+			const hit = locateQuote(quote, pageMap.get(other) || "");
+			if (hit && hit.similarity >= MATCH_THRESHOLD && (!best || hit.similarity > best.hit.similarity)) best = { page: other, hit };
+		}
+		if (best) {
+			return { page: best.page, cited_page: page, status: "page_corrected", similarity: round(best.hit.similarity), start: best.hit.start, end: best.hit.end, quote };
+		}
+		return { page: null, cited_page: page, status: "fabricated", similarity: round(onCited?.similarity || 0), start: null, end: null, quote };
+	});
+
+	// Reconstrói a resposta (de trás para frente para preservar os índices)
+	let text = String(answer);
+	for (let i = parsed.length - 1; i >= 0; i--) {
+		const { index, length } = parsed[i];
+		const r = results[i];
+		let replacement;
+		if (r.status === "fabricated") {
+			replacement = policy === "flag" ? `Página ${r.cited_page}: "${r.quote}" ⚠️ (trecho não localizado no livro)` : "";
+		} else if (r.status === "unverified") {
+			replacement = policy === "flag" ? `${r.quote} ⚠️ (trecho não verificado)` : "";
+		} else {
+			replacement = `Página ${r.page}: "${r.quote}"`;
+		}
+		text = text.slice(0, index) + replacement + text.slice(index + length);
+	}
+	// Remove marcadores de lista que ficaram vazios após descartar citações
+	text = text.split(/\r?\n/).filter(line => !/^\s*[-•*]?\s*$/.test(line)).join("\n").trim();
+	if (!text) text = "Nenhum trecho encontrado no livro.";
+
+	return { answer: text, quotes: results };
+}
@@ -1,14 +1,5 @@
 import { escapeHtml, escapeAttr } from "./text.js";
-
-function buttonForType(tipoRaw, isPremium) {
-	const tipo = String(tipoRaw || "").toLowerCase();
-	if (tipo.includes("podteme")) return { label: "🎧 Ouvir episódio", kind: "primary" };
-	if (tipo.includes("preparatório teme") || tipo.includes("preparatorio teme")) return { label: "▶️ Assistir aula", kind: "accent" };
-	if (tipo.includes("instagram")) return { label: "📱 Ver post", kind: "primary" };
-	if (tipo.includes("blog")) return { label: "📰 Ler artigo", kind: "primary" };
-	if (tipo.includes("curso")) return { label: isPremium ? "💎 Conhecer o curso" : "▶️ Acessar curso", kind: isPremium ? "premium" : "accent" };
-	return { label: "🔗 Acessar conteúdo", kind: isPremium ? "premium" : "primary" };
-}
+import { buttonForItem, itemBadges } from "./dictionary/contentTypes.js";
 
 function btnStyle(kind) {
 	const base = "display:inline-block;padding:8px 12px;border-radius:8px;text-decoration:none;font-weight:500;font-size:13px;border:1px solid;cursor:pointer;";
@@ -22,12 +13,12 @@ function renderDictItemsList(items, isPremiumSection) {
 	const itemsHtml = items.map(it => {
 		const titulo = escapeHtml(it.titulo || "");
 		const autor = it.autor ? ` <span style="color:#94a3b8">— ${escapeHtml(it.autor)}</span>` : "";
-		const tipo = it.tipoConteudo || it.tipo_conteudo || "";
-		const { label, kind } = buttonForType(tipo, !!it.pago);
+		const { label, kind } = buttonForItem(it);
 		const href = it.link ? ` href="${escapeAttr(it.link)}" target="_blank"` : "";
 		const btn = it.link ? `<div style="margin-top:6px"><a style="${btnStyle(kind)}"${href}>${label}</a></div>` : "";
-		const badges = isPremiumSection ?
-			`<div style="display:flex;flex-wrap:wrap;gap:6px;margin-top:8px"><span style="border:1px dashed #1f2937;border-radius:999px;padding:4px 8px;font-size:11px;color:#94a3b8">Carga horária: 12h</span><span style="border:1px dashed #1f2937;border-radius:999px;padding:4px 8px;font-size:11px;color:#94a3b8">Aulas on-demand</span><span style="border:1px dashed #1f2937;border-radius:999px;padding:4px 8px;font-size:11px;color:#94a3b8">Certificado</span></div>` : "";
+		const badgeList = itemBadges(it);
+		const badges = badgeList.length ?
+			`<div style="display:flex;flex-wrap:wrap;gap:6px;margin-top:8px">${badgeList.map(b => `<span style="border:1px dashed #1f2937;border-radius:999px;padding:4px 8px;font-size:11px;color:#94a3b8">${escapeHtml(b)}</span>`).join("")}</div>` : "";
 		return `<div style="padding:10px;border:1px solid #1f2937;border-radius:8px;background:rgba(255,255,255,0.015);margin-bottom:8px"><div><strong>${titulo}</strong>${autor}</div>${btn}${badges}</div>`;
 	}).join("");
 
@@ -1,4 +1,4 @@
-import { openai } from "./openai.js";
+import { getProvider } from "./providers/index.js";
 import { CHAT_MODEL } from "./constants.js";
 import { seedFromString } from "./text.js";
 import { logSection, logObj, logOpenAIRequest, logOpenAIResponse, truncate } from "./logging.js";
@@ -69,10 +69,9 @@ export async function semanticSearchSummary(sumario, question) {
 Identifique itens do índice médico relevantes para a pergunta.
 
 IMPORTANTE:
-- Considere sinônimos (PCR = parada cardiorrespiratória = RCP = ressuscitação cardiopulmonar)
-- Considere abreviações (IAM, AVC, TEP, RCP, PCR)
+- Considere sinônimos e abreviações; siglas já expandidas pelo tesauro aparecem entre parênteses após a pergunta
 - Procure em categoria, tópico E subtópico
-- Seja INCLUSIVO: se a pergunta menciona "RCP", retorne TODAS as ocorrências
+- Seja INCLUSIVO: se a pergunta menciona uma sigla (ex.: "RCP"), retorne TODAS as ocorrências dela e de seus sinônimos
 - Padrão: adultos (ignore pediátrico a menos que solicitado)
 
 FORMATO DO ÍNDICE (array):
@@ -104,7 +103,7 @@ Retorne os IDs (primeiro número de cada array) dos itens relevantes.`;
 
 		logOpenAIRequest("chat.completions.create [semantic_summary]", chatReq);
 		const t0 = Date.now();
-		const resp = await openai.chat.completions.create(chatReq);
+		const resp = await getProvider().chat(chatReq, { purpose: "summary" });
 		const ms = Date.now() - t0;
 		logOpenAIResponse("chat.completions.create [semantic_summary]", resp, { duration_ms: ms });
 
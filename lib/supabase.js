@@ -0,0 +1,28 @@
+import { createClient } from "@supabase/supabase-js";
+
+// Cliente Supabase do servidor, criado só quando algum backend precisa dele
+// (sem SUPABASE_URL o resto da aplicação continua funcionando offline).
+
+// Service role no servidor ignora RLS; sem ela, cai para a anon key.
+const supabaseKey =
+	process.env.SUPABASE_SERVICE_ROLE_KEY ||
+	process.env.SUPABASE_SERVICE_ROLE ||
+	process.env.SUPABASE_ANON_KEY;
+
+let client = null;
+
+export function getSupabase() {
+	if (!client) {
+		if (!process.env.SUPABASE_URL) throw new Error("SUPABASE_URL não definido");
+		if (!supabaseKey) throw new Error("Nenhuma SUPABASE key definida (SERVICE_ROLE_KEY/SERVICE_ROLE/ANON)");
+		client = createClient(process.env.SUPABASE_URL, supabaseKey);
+	}
+	return client;
+}
+
+// Só a anon key: escritas vão esbarrar nas policies de RLS
+export function supabaseUsesAnonKey() {
+	return !!process.env.SUPABASE_ANON_KEY &&
+		supabaseKey === process.env.SUPABASE_ANON_KEY &&
+		!(process.env.SUPABASE_SERVICE_ROLE_KEY || process.env.SUPABASE_SERVICE_ROLE);
+}
@@ -0,0 +1,97 @@
+import fs from "fs/promises";
+import path from "path";
+import { normalizeStr } from "./text.js";
+import { writeJsonAtomic } from "./ingest.js";
+
+// Tesauro de siglas/sinônimos médicos (data/thesaurus.json).
+// Cada entrada é um grupo de equivalência: se a pergunta contém o termo ou qualquer
+// sinônimo, os demais membros do grupo são acrescentados à consulta expandida.
+
+export const THESAURUS_PATH = path.join(process.cwd(), "data", "thesaurus.json");
+
+const MAX_EXPANSIONS = 12;
+
+let cache = null; // { mtimeMs, entries }
+
+// Arquivo ausente = tesauro vazio. Qualquer outro erro (ilegível, JSON inválido) é lançado:
+// as escritas gravam a lista inteira e não podem partir de uma lista vazia por engano.
+export async function loadThesaurus() {
+	let stat;
+	try {
+		stat = await fs.stat(THESAURUS_PATH);
+	} catch (e) {
+		if (e?.code === "ENOENT") return [];
+		throw e;
+	}
+	if (cache && cache.mtimeMs === stat.mtimeMs) return cache.entries;
+	const arr = JSON.parse(await fs.readFile(THESAURUS_PATH, "utf8"));
+	if (!Array.isArray(arr)) throw new Error(`Tesauro em formato inválido (${THESAURUS_PATH})`);
+	cache = { mtimeMs: stat.mtimeMs, entries: arr };
+	return arr;
+}
+
+export async function saveThesaurus(entries) {
+	await fs.mkdir(path.dirname(THESAURUS_PATH), { recursive: true });
+	await writeJsonAtomic(THESAURUS_PATH, entries, true);
+	const stat = await fs.stat(THESAURUS_PATH);
+	cache = { mtimeMs: stat.mtimeMs, entries };
+}
+
+export function validateThesaurusEntry(input) {
+	const termo = String(input.termo || "").trim();
+	if (!termo) return { ok: false, error: "termo é obrigatório" };
+	let sinonimos = input.sinonimos;
+	if (typeof sinonimos === "string") {
+		sinonimos = sinonimos.split(",");
+	}
+	if (!Array.isArray(sinonimos)) sinonimos = [];
+	sinonimos = Array.from(new Set(sinonimos.map(s => String(s || "").trim()).filter(Boolean)))
+		.filter(s => normalizeStr(s) !== normalizeStr(termo));
+	if (!sinonimos.length) return { ok: false, error: "informe ao menos um sinônimo" };
+	return { ok: true, value: { termo, sinonimos } };
+}
+
+function containsPhrase(haystackNorm, phrase) {
+	const p = normalizeStr(phrase).trim();
+	if (!p) return false;
+	const re = new RegExp(`(^|[^a-z0-9])${p.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}($|[^a-z0-9])`);
+	return re.test(haystackNorm);
+}
+
+/**
+ * Expande a pergunta com siglas/sinônimos do tesauro.
+ * Retorna { query, applied: [{ termo, matched, added: [...] }] }.
+ * query = pergunta original + termos acrescentados (entre parênteses), ou a própria pergunta.
+ */
+export async function expandQuery(question) {
+	// No chat, tesauro com problema só desliga a expansão (a escrita pelo admin é que falha)
+	const entries = await loadThesaurus().catch(e => {
+		console.warn(`⚠️ Tesauro indisponível, consulta sem expansão: ${e?.message || e}`);
+		return [];
+	});
+	const qNorm = normalizeStr(question);
+	const seen = new Set();
+	const added = [];
+	const applied = [];
+
+	for (const entry of entries) {
+		const group = [entry.termo, ...(entry.sinonimos || [])].filter(Boolean);
+		const matched = group.find(t => containsPhrase(qNorm, t));
+		if (!matched) continue;
+		const extra = group.filter(t => {
+			const n = normalizeStr(t);
+			if (seen.has(n) || containsPhrase(qNorm, t)) return false;
+			seen.add(n);
+			return true;
+		});
+		if (!extra.length) continue;
+		applied.push({ termo: entry.termo, matched, added: extra });
+		added.push(...extra);
+	}
+
+	const terms = added.slice(0, MAX_EXPANSIONS);
+	return {
+		query: terms.length ? `${question} (${terms.join("; ")})` : question,
+		applied
+	};
+}
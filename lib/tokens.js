@@ -0,0 +1,71 @@
+import { Tiktoken } from "js-tiktoken/lite";
+import o200k_base from "js-tiktoken/ranks/o200k_base";
+import cl100k_base from "js-tiktoken/ranks/cl100k_base";
+
+// Contagem de tokens compatível com o modelo de chat e orçamento de contexto por modelo.
+
+const RANKS = { o200k_base, cl100k_base };
+
+// window: janela total do modelo; contextBudget: teto para os trechos do livro no prompt
+// (menor que a janela de propósito: contexto demais dilui a resposta literal e encarece).
+export const MODEL_LIMITS = {
+	"gpt-4o-mini": { encoding: "o200k_base", window: 128000, contextBudget: 12000 },
+	"gpt-4o": { encoding: "o200k_base", window: 128000, contextBudget: 16000 },
+	"gpt-4-turbo": { encoding: "cl100k_base", window: 128000, contextBudget: 12000 },
+	"gpt-3.5-turbo": { encoding: "cl100k_base", window: 16385, contextBudget: 8000 }
+};
+const DEFAULT_LIMITS = { encoding: "o200k_base", window: 16000, contextBudget: 6000 };
+
+const encoders = new Map();
+
+export function limitsFor(model) {
+	return MODEL_LIMITS[model] || DEFAULT_LIMITS;
+}
+
+function encoderFor(model) {
+	const { encoding } = limitsFor(model);
+	if (!encoders.has(encoding)) encoders.set(encoding, new Tiktoken(RANKS[encoding]));
+	return encoders.get(encoding);
+}
+
+export function countTokens(text, model) {
+	if (!text) return 0;
+	return encoderFor(model).encode(String(text)).length;
+}
+
+// Tokens de uma lista de mensagens (inclui o overhead aproximado por mensagem do formato chat)
+export function countMessageTokens(messages, model) {
+	return (messages || []).reduce((s, m) => s + 4 + countTokens(m.content, model), 3);
+}
+
+/**
+ * Orçamento para o contexto do livro: o teto do modelo, limitado pelo que sobra da janela
+ * depois da resposta (answerTokens) e do restante do prompt (overheadTokens).
+ * CONTEXT_TOKEN_BUDGET no ambiente sobrepõe o teto padrão.
+ */
+export function contextBudgetFor(model, { answerTokens = 0, overheadTokens = 0 } = {}) {
+	const limits = limitsFor(model);
+	const cap = Number(process.env.CONTEXT_TOKEN_BUDGET) || limits.contextBudget;
+	return Math.max(0, Math.min(cap, limits.window - answerTokens - overheadTokens));
+}
+
+/**
+ * Empacota itens (já ordenados do melhor para o pior) até o orçamento.
+ * Itens que não cabem são pulados, mas os seguintes (menores) ainda podem entrar.
+ * cost(item) -> tokens. Retorna { packed, dropped, used }.
+ */
+export function packByBudget(items, budget, cost) {
+	const packed = [];
+	const dropped = [];
+	let used = 0;
+	for (const item of items) {
+		const c = cost(item);
+		if (used + c <= budget) {
+			packed.push(item);
+			used += c;
+		} else {
+			dropped.push(item);
+		}
+	}
+	return { packed, dropped, used };
+}
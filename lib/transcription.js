@@ -1,5 +1,4 @@
-import { toFile } from "openai/uploads";
-import { openai } from "./openai.js";
+import { getProvider } from "./providers/index.js";
 import { TRANSCRIBE_MODEL } from "./constants.js";
 import { logSection, logObj } from "./logging.js";
 
@@ -16,16 +15,16 @@ export async function transcribeBase64AudioToText(audioStr, mime = "audio/webm")
 			: mime.includes("m4a") ? "m4a"
 			: "webm";
 		const filename = `audio.${ext}`;
-		const file = await toFile(buf, filename, { type: mime });
 		const t0 = Date.now();
-		const resp = await openai.audio.transcriptions.create({
+		const text = await getProvider().transcribe({
+			buffer: buf,
+			filename,
+			mime,
 			model: TRANSCRIBE_MODEL,
-			file,
 			language: "pt"
 		});
 		const ms = Date.now() - t0;
 		logObj("transcription_ms", ms);
-		const text = (resp && (resp.text || resp.transcript || resp?.results?.[0]?.transcript)) || "";
 		logObj("transcription_preview", text.slice(0, 200));
 		return text.trim();
 	} catch (e) {
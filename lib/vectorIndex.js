@@ -0,0 +1,177 @@
+import { seedFromString } from "./text.js";
+
+// Índice vetorial para os embeddings de página.
+// - Armazenamento: uma matriz Float32Array contígua, vetores pré-normalizados
+//   (cosseno = produto escalar, sem recalcular normas a cada busca).
+// - "exact": varredura completa com laço desenrolado (amigável a SIMD/JIT).
+// - "ivf": k-means esférico em nlist listas; a busca visita as nprobe listas
+//   mais próximas (nprobe maior => recall maior, latência maior).
+// Com filtro (ex.: páginas vindas do sumário) a busca é sempre exata no subconjunto.
+// createVectorIndexFromMatrix adota uma matriz já carregada (ex.: lida do .f32 dos embeddings)
+// sem copiá-la: normaliza as linhas no próprio buffer, que passa a ser do índice.
+
+export const DEFAULT_IVF_ITERATIONS = 8;
+
+function normalizeInto(src, dst, offset, dim) {
+	let s = 0;
+	for (let i = 0; i < dim; i++) s += src[i] * src[i];
+	const inv = 1 / (Math.sqrt(s) + 1e-8);
+	for (let i = 0; i < dim; i++) dst[offset + i] = src[i] * inv;
+}
+
+function dotAt(matrix, offset, q, dim) {
+	let s0 = 0, s1 = 0, s2 = 0, s3 = 0;
+	let i = 0;
+	for (; i + 3 < dim; i += 4) {
+		s0 += matrix[offset + i] * q[i];
+		s1 += matrix[offset + i + 1] * q[i + 1];
+		s2 += matrix[offset + i + 2] * q[i + 2];
+		s3 += matrix[offset + i + 3] * q[i + 3];
+	}
+	for (; i < dim; i++) s0 += matrix[offset + i] * q[i];
+	return s0 + s1 + s2 + s3;
+}
+
+// PRNG determinístico (mulberry32) para a inicialização do k-means
+function rng(seed) {
+	let a = seed >>> 0;
+	return () => {
+		a = (a + 0x6D2B79F5) >>> 0;
+		let t = a;
+		t = Math.imul(t ^ (t >>> 15), t | 1);
+		t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+		return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+	};
+}
+
+function topK(scored, k) {
+	scored.sort((a, b) => (b.score - a.score) || (a.id - b.id));
+	return k >= scored.length ? scored : scored.slice(0, k);
+}
+
+function trainIvf(matrix, count, dim, nlist, iterations, seed) {
+	const rand = rng(seed);
+	const centroids = new Float32Array(nlist * dim);
+	// Inicialização: amostras distintas aleatórias
+	const picked = new Set();
+	for (let c = 0; c < nlist; c++) {
+		let row;
+		do { row = Math.floor(rand() * count); } while (picked.has(row) && picked.size < count);
+		picked.add(row);
+		centroids.set(matrix.subarray(row * dim, row * dim + dim), c * dim);
+	}
+	const assign = new Int32Array(count);
+	const sums = new Float64Array(nlist * dim);
+	for (let it = 0; it < iterations; it++) {
+		sums.fill(0);
+		for (let r = 0; r < count; r++) {
+			const q = matrix.subarray(r * dim, r * dim + dim);
+			let best = 0, bestScore = -Infinity;
+			for (let c = 0; c < nlist; c++) {
+				const s = dotAt(centroids, c * dim, q, dim);
+				if (s > bestScore) { bestScore = s; best = c; }
+			}
+			assign[r] = best;
+			for (let i = 0; i < dim; i++) sums[best * dim + i] += q[i];
+		}
+		for (let c = 0; c < nlist; c++) {
+			normalizeInto(sums.subarray(c * dim, c * dim + dim), centroids, c * dim, dim);
+		}
+	}
+	const lists = Array.from({ length: nlist }, () => []);
+	for (let r = 0; r < count; r++) lists[assign[r]].push(r);
+	return { centroids, lists: lists.map(l => Int32Array.from(l)) };
+}
+
+/**
+ * entries: [{ id, vector }] (id numérico, ex.: número da página)
+ * options: { mode: "exact" | "ivf", nlist, nprobe, iterations }
+ */
+export function createVectorIndex(entries, options = {}) {
+	const valid = (entries || []).filter(e => e && (Array.isArray(e.vector) || ArrayBuffer.isView(e.vector)) && e.vector.length);
+	const dim = valid[0]?.vector.length || 0;
+	const rows = valid.filter(e => e.vector.length === dim);
+	const matrix = new Float32Array(rows.length * dim);
+	rows.forEach((e, r) => normalizeInto(e.vector, matrix, r * dim, dim));
+	return buildIndex(matrix, rows.map(e => e.id), dim, options);
+}
+
+/**
+ * matrix: Float32Array com ids.length linhas de dim valores (linha r = vetor de ids[r]).
+ * As linhas são normalizadas no lugar: a matriz passa a ser do índice e não deve ser
+ * compartilhada com quem espera os vetores originais.
+ */
+export function createVectorIndexFromMatrix(matrix, ids, dim, options = {}) {
+	if (matrix.length !== ids.length * dim) {
+		throw new Error(`Matriz com ${matrix.length} valores; esperado ${ids.length} x ${dim}`);
+	}
+	for (let r = 0; r < ids.length; r++) {
+		const row = matrix.subarray(r * dim, (r + 1) * dim);
+		normalizeInto(row, row, 0, dim);
+	}
+	return buildIndex(matrix, ids.slice(), dim, options);
+}
+
+// matrix já normalizada
+function buildIndex(matrix, ids, dim, { mode = "exact", nlist, nprobe, iterations = DEFAULT_IVF_ITERATIONS } = {}) {
+	const count = ids.length;
+	const rowById = new Map(ids.map((id, r) => [id, r]));
+
+	let ivf = null;
+	const useIvf = mode === "ivf" && count > 0;
+	const lists = useIvf ? Math.max(1, Math.min(count, Number(nlist) || Math.round(Math.sqrt(count)))) : 0;
+	const probes = useIvf ? Math.max(1, Math.min(lists, Number(nprobe) || Math.ceil(lists / 8))) : 0;
+	if (useIvf) ivf = trainIvf(matrix, count, dim, lists, iterations, seedFromString(`ivf|${count}|${dim}`));
+
+	function prepareQuery(query) {
+		if (!query || query.length !== dim) throw new Error(`Dimensão da consulta (${query?.length}) difere do índice (${dim})`);
+		const q = new Float32Array(dim);
+		normalizeInto(query, q, 0, dim);
+		return q;
+	}
+
+	function scanRows(q, rowIter) {
+		const out = [];
+		for (const r of rowIter) out.push({ id: ids[r], score: dotAt(matrix, r * dim, q, dim) });
+		return out;
+	}
+
+	function filteredRows(filter) {
+		const out = [];
+		for (const id of filter) {
+			const r = rowById.get(id);
+			if (r !== undefined) out.push(r);
+		}
+		return out;
+	}
+
+	return {
+		mode: useIvf ? "ivf" : "exact",
+		dim,
+		size: count,
+		nlist: lists,
+		nprobe: probes,
+		has: (id) => rowById.has(id),
+		ids: () => ids.slice(),
+
+		/**
+		 * Retorna [{ id, score }] em ordem decrescente de similaridade (cosseno).
+		 * options: { k, filter (iterável de ids), nprobe (sobrepõe o padrão do índice) }
+		 */
+		search(query, { k = 10, filter = null, nprobe: probeOverride } = {}) {
+			const q = prepareQuery(query);
+			if (filter) return topK(scanRows(q, filteredRows(filter)), k);
+			if (!ivf) return topK(scanRows(q, Array.from({ length: count }, (_, r) => r)), k);
+
+			const np = Math.max(1, Math.min(lists, Number(probeOverride) || probes));
+			const cScores = [];
+			for (let c = 0; c < lists; c++) cScores.push({ c, s: dotAt(ivf.centroids, c * dim, q, dim) });
+			cScores.sort((a, b) => b.s - a.s);
+			const scored = [];
+			for (let i = 0; i < np; i++) {
+				for (const r of ivf.lists[cScores[i].c]) scored.push({ id: ids[r], score: dotAt(matrix, r * dim, q, dim) });
+			}
+			return topK(scored, k);
+		}
+	};
+}
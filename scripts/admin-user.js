@@ -0,0 +1,96 @@
+/**
+ * scripts/admin-user.js
+ * Gerencia os usuários do admin do dicionário em data/admin_users.json
+ * (senhas com scrypt; ver lib/auth.js). Papéis: viewer (consulta) e editor (escrita).
+ * Em deploys sem disco gravável, copie o JSON impresso por --list para ADMIN_USERS.
+ *
+ * Uso:
+ *   node scripts/admin-user.js --email ana@exemplo.com --role editor [--name "Ana"] --password <senha>
+ *   node scripts/admin-user.js --remove --email ana@exemplo.com
+ *   node scripts/admin-user.js --list
+ * Sem --password, a senha é lida de ADMIN_PASSWORD (evita que fique no histórico do shell).
+ */
+
+import fs from "fs/promises";
+import path from "path";
+import { ADMIN_USERS_PATH, ROLES, hashPassword } from "../lib/auth.js";
+import { writeJsonAtomic } from "../lib/ingest.js";
+
+function parseArgs(argv) {
+  const args = { email: null, name: null, role: null, password: null, remove: false, list: false };
+  for (let i = 0; i < argv.length; i++) {
+    const key = argv[i].replace(/^--/, "");
+    if (!(key in args)) continue;
+    if (typeof args[key] === "boolean") args[key] = true;
+    else if (argv[i + 1] !== undefined) args[key] = argv[++i];
+  }
+  return { ...args, email: args.email?.trim().toLowerCase() || null, password: args.password ?? process.env.ADMIN_PASSWORD ?? null };
+}
+
+async function readUsers() {
+  try {
+    return JSON.parse(await fs.readFile(ADMIN_USERS_PATH, "utf8"));
+  } catch (e) {
+    if (e?.code === "ENOENT") return [];
+    throw e;
+  }
+}
+
+async function main() {
+  const opts = parseArgs(process.argv.slice(2));
+  const users = await readUsers();
+
+  if (opts.list) {
+    if (!users.length) console.log("Nenhum usuário cadastrado.");
+    for (const u of users) console.log(`👤 ${u.email} (${u.role})${u.name && u.name !== u.email ? ` - ${u.name}` : ""}`);
+    if (users.length) console.log(`\nADMIN_USERS='${JSON.stringify(users)}'`);
+    return;
+  }
+
+  if (!opts.email) {
+    console.error("Uso: node scripts/admin-user.js --email <email> --role <viewer|editor> --password <senha> | --remove --email <email> | --list");
+    process.exit(1);
+  }
+
+  if (opts.remove) {
+    const next = users.filter(u => u.email.toLowerCase() !== opts.email);
+    if (next.length === users.length) {
+      console.error(`❌ Usuário ${opts.email} não encontrado.`);
+      process.exit(1);
+    }
+    await writeJsonAtomic(ADMIN_USERS_PATH, next, true);
+    console.log(`🗑️ Usuário ${opts.email} removido.`);
+    return;
+  }
+
+  const existing = users.find(u => u.email.toLowerCase() === opts.email);
+  const role = opts.role || existing?.role;
+  if (!ROLES.includes(role)) {
+    console.error(`❌ Informe --role ${ROLES.join(" ou ")}.`);
+    process.exit(1);
+  }
+  if (!existing && !opts.password) {
+    console.error("❌ Informe --password (ou ADMIN_PASSWORD) para um usuário novo.");
+    process.exit(1);
+  }
+  if (opts.password && String(opts.password).length < 8) {
+    console.error("❌ A senha deve ter pelo menos 8 caracteres.");
+    process.exit(1);
+  }
+
+  const user = {
+    email: opts.email,
+    name: opts.name || existing?.name || opts.email,
+    role,
+    password_hash: opts.password ? hashPassword(opts.password) : existing.password_hash
+  };
+  const next = existing ? users.map(u => (u === existing ? user : u)) : [...users, user];
+  await fs.mkdir(path.dirname(ADMIN_USERS_PATH), { recursive: true });
+  await writeJsonAtomic(ADMIN_USERS_PATH, next, true);
+  console.log(`✅ Usuário ${user.email} (${user.role}) ${existing ? "atualizado" : "criado"} em ${ADMIN_USERS_PATH}.`);
+}
+
+main().catch(err => {
+  console.error("❌ Erro:", err);
+  process.exit(1);
+});
@@ -0,0 +1,142 @@
+/**
+ * scripts/bench-index.js
+ * Compara latência e recall do índice vetorial (lib/vectorIndex.js) com o laço
+ * força-bruta original (cosineSim sobre arrays JS para cada página).
+ *
+ * Uso:
+ *   node scripts/bench-index.js [--queries 50] [--k 10] [--nlist 0] [--nprobe 1,2,4,8] [--scoped 60]
+ *
+ * As consultas são embeddings de páginas do próprio livro com ruído gaussiano,
+ * então o benchmark roda offline (sem chamadas à API).
+ */
+
+import fs from "fs/promises";
+import { EMB_FILES } from "../lib/corpus.js";
+import { readStoredEmbeddings } from "../lib/embeddingStore.js";
+import { cosineSim } from "../lib/similarity.js";
+import { createVectorIndex } from "../lib/vectorIndex.js";
+
+function parseArgs(argv) {
+  const args = { queries: 50, k: 10, nlist: 0, nprobe: "1,2,4,8", scoped: 60 };
+  for (let i = 0; i < argv.length; i++) {
+    const key = argv[i].replace(/^--/, "");
+    if (key in args && argv[i + 1] !== undefined) args[key] = argv[++i];
+  }
+  return {
+    queries: Number(args.queries),
+    k: Number(args.k),
+    nlist: Number(args.nlist),
+    nprobe: String(args.nprobe).split(",").map(Number).filter(Boolean),
+    scoped: Number(args.scoped)
+  };
+}
+
+// Gerador determinístico para que execuções sejam comparáveis
+function makeRandom(seed = 42) {
+  let a = seed >>> 0;
+  const next = () => {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  const gauss = () => Math.sqrt(-2 * Math.log(next() || 1e-12)) * Math.cos(2 * Math.PI * next());
+  return { next, gauss };
+}
+
+function bruteForce(query, pageEmbeddings, k, filter) {
+  const scored = [];
+  for (const pe of pageEmbeddings) {
+    if (filter && !filter.has(pe.pagina)) continue;
+    scored.push({ id: pe.pagina, score: cosineSim(query, pe.embedding) });
+  }
+  scored.sort((a, b) => (b.score - a.score) || (a.id - b.id));
+  return scored.slice(0, k);
+}
+
+function recall(expected, got) {
+  if (!expected.length) return 1;
+  const set = new Set(got.map(x => x.id));
+  return expected.filter(x => set.has(x.id)).length / expected.length;
+}
+
+function timeIt(fn) {
+  const t0 = process.hrtime.bigint();
+  const out = fn();
+  return { out, ms: Number(process.hrtime.bigint() - t0) / 1e6 };
+}
+
+function report(label, rows) {
+  const avg = (arr) => arr.reduce((s, x) => s + x, 0) / Math.max(1, arr.length);
+  const lat = rows.map(r => r.ms).sort((a, b) => a - b);
+  const p95 = lat[Math.min(lat.length - 1, Math.floor(lat.length * 0.95))] || 0;
+  console.log(
+    `${label.padEnd(28)} avg ${avg(lat).toFixed(3).padStart(8)} ms  p95 ${p95.toFixed(3).padStart(8)} ms  recall ${avg(rows.map(r => r.recall)).toFixed(3)}`
+  );
+}
+
+async function main() {
+  const opts = parseArgs(process.argv.slice(2));
+  console.log("📥 Lendo embeddings...");
+  const { embeddings: pageEmbeddings, format } = await readStoredEmbeddings(EMB_FILES);
+  const dim = pageEmbeddings[0]?.embedding?.length || 0;
+  console.log(`📐 ${pageEmbeddings.length} páginas, dimensão ${dim} (${format})`);
+
+  const { next, gauss } = makeRandom();
+  const queries = Array.from({ length: opts.queries }, () => {
+    const base = pageEmbeddings[Math.floor(next() * pageEmbeddings.length)].embedding;
+    return base.map(v => v + gauss() * 0.02);
+  });
+
+  const entries = pageEmbeddings.map(pe => ({ id: pe.pagina, vector: pe.embedding }));
+  const tExact = timeIt(() => createVectorIndex(entries, { mode: "exact" }));
+  const tIvf = timeIt(() => createVectorIndex(entries, { mode: "ivf", nlist: opts.nlist }));
+  const exact = tExact.out;
+  const ivf = tIvf.out;
+  console.log(`🏗️  Construção: exact ${tExact.ms.toFixed(1)} ms, ivf ${tIvf.ms.toFixed(1)} ms (nlist ${ivf.nlist})`);
+  console.log(`\n🔎 Global (k=${opts.k}, ${queries.length} consultas)`);
+
+  const baseline = [];
+  const expected = queries.map(q => {
+    const { out, ms } = timeIt(() => bruteForce(q, pageEmbeddings, opts.k));
+    baseline.push({ ms, recall: 1 });
+    return out;
+  });
+  report("força-bruta (cosineSim)", baseline);
+  report("exact", queries.map((q, i) => {
+    const { out, ms } = timeIt(() => exact.search(q, { k: opts.k }));
+    return { ms, recall: recall(expected[i], out) };
+  }));
+  for (const np of opts.nprobe) {
+    report(`ivf nprobe=${np}`, queries.map((q, i) => {
+      const { out, ms } = timeIt(() => ivf.search(q, { k: opts.k, nprobe: np }));
+      return { ms, recall: recall(expected[i], out) };
+    }));
+  }
+
+  if (opts.scoped > 0) {
+    // Simula o escopo do sumário: um bloco contíguo de páginas por consulta
+    console.log(`\n🎯 Escopo restrito (${opts.scoped} páginas candidatas)`);
+    const filters = queries.map(() => {
+      const start = Math.floor(next() * Math.max(1, pageEmbeddings.length - opts.scoped));
+      return new Set(pageEmbeddings.slice(start, start + opts.scoped).map(pe => pe.pagina));
+    });
+    const scopedBase = [];
+    const scopedExpected = queries.map((q, i) => {
+      const { out, ms } = timeIt(() => bruteForce(q, pageEmbeddings, opts.k, filters[i]));
+      scopedBase.push({ ms, recall: 1 });
+      return out;
+    });
+    report("força-bruta (cosineSim)", scopedBase);
+    report("índice + filtro", queries.map((q, i) => {
+      const { out, ms } = timeIt(() => exact.search(q, { k: opts.k, filter: filters[i] }));
+      return { ms, recall: recall(scopedExpected[i], out) };
+    }));
+  }
+}
+
+main().catch(err => {
+  console.error("❌ Erro:", err);
+  process.exit(1);
+});
@@ -0,0 +1,56 @@
+/**
+ * scripts/build-passages.js
+ * Divide as páginas do livro (texto normalizado, se houver) em passagens sobrepostas,
+ * gera o embedding de cada passagem e grava data/abramede_passagens.json com cabeçalho
+ * (modelo informado pelo provider, dimensão, hash do texto de cada página; ver lib/passages.js).
+ *
+ * Quando o arquivo existe e confere com o livro atual, api/chat.js recupera por passagem em vez
+ * de página inteira; se o texto ou o modelo mudar, o corpus volta às páginas até regerar.
+ *
+ * Uso:
+ *   node scripts/build-passages.js [--size 900] [--overlap 150] [--batch 64]
+ */
+
+import { loadBookPages, PASSAGES_PATH } from "../lib/corpus.js";
+import { splitIntoPassages, passageText, buildPassagesFile, PASSAGE_SIZE, PASSAGE_OVERLAP } from "../lib/passages.js";
+import { embeddingModelId, embedTexts } from "../lib/providers/index.js";
+import { writeJsonAtomic } from "../lib/ingest.js";
+
+function parseArgs(argv) {
+  const args = { size: PASSAGE_SIZE, overlap: PASSAGE_OVERLAP, batch: 64 };
+  for (let i = 0; i < argv.length; i++) {
+    const key = argv[i].replace(/^--/, "");
+    if (key in args && argv[i + 1] !== undefined) args[key] = Number(argv[++i]);
+  }
+  return args;
+}
+
+async function main() {
+  const opts = parseArgs(process.argv.slice(2));
+  console.log("📘 Lendo páginas do livro...");
+  const { pages, source } = await loadBookPages();
+  console.log(`📄 ${pages.length} páginas (texto ${source === "clean" ? "normalizado" : "bruto"}).`);
+  const pageMap = new Map(pages.map(p => [p.pagina, p.texto]));
+
+  const passages = splitIntoPassages(pages, { size: opts.size, overlap: opts.overlap });
+  const crossing = passages.filter(p => p.spans.length > 1).length;
+  console.log(`✂️  ${passages.length} passagens de ~${opts.size} caracteres (${crossing} atravessam páginas).`);
+
+  const model = embeddingModelId();
+  const out = [];
+  for (let i = 0; i < passages.length; i += opts.batch) {
+    const batch = passages.slice(i, i + opts.batch);
+    const resp = await embedTexts(batch.map(p => passageText(p, pageMap)));
+    batch.forEach((p, j) => out.push({ id: p.id, spans: p.spans, embedding: resp.embeddings[j] }));
+    console.log(`🧠 Embeddings ${Math.min(i + opts.batch, passages.length)}/${passages.length}`);
+  }
+
+  const file = buildPassagesFile(out, { model, pages, size: opts.size, overlap: opts.overlap });
+  await writeJsonAtomic(PASSAGES_PATH, file);
+  console.log(`✅ Passagens gravadas em ${PASSAGES_PATH} (modelo ${model}, dimensão ${file.header.dimension})`);
+}
+
+main().catch(err => {
+  console.error("❌ Erro:", err);
+  process.exit(1);
+});
@@ -0,0 +1,63 @@
+/**
+ * scripts/convert-embeddings.js
+ * Converte data/abramede_embeddings.json para o formato binário:
+ *   data/abramede_embeddings.f32        matriz Float32 little-endian (uma linha por página)
+ *   data/abramede_embeddings.index.json { header, encoding, dimension, rows: [pagina, ...] }
+ *
+ * Quando o índice existe, o servidor e os scripts passam a ler o binário (o JSON é ignorado).
+ *
+ * Uso:
+ *   node scripts/convert-embeddings.js [--remove-json]
+ *   node scripts/convert-embeddings.js --to-json   (volta para o JSON e remove o binário)
+ */
+
+import fs from "fs/promises";
+import { EMB_FILES } from "../lib/corpus.js";
+import { readStoredEmbeddings, writeStoredEmbeddings, readEmbeddingFile } from "../lib/embeddingStore.js";
+
+function parseArgs(argv) {
+  return { removeJson: argv.includes("--remove-json"), toJson: argv.includes("--to-json") };
+}
+
+async function main() {
+  const opts = parseArgs(process.argv.slice(2));
+
+  if (opts.toJson) {
+    const { header, embeddings, format } = await readStoredEmbeddings(EMB_FILES);
+    if (format !== "binary") throw new Error("Embeddings já estão em JSON");
+    await writeStoredEmbeddings({ header, embeddings: embeddings.map(e => ({ pagina: e.pagina, embedding: Array.from(e.embedding) })) }, EMB_FILES, { format: "json" });
+    await fs.rm(EMB_FILES.indexPath, { force: true });
+    await fs.rm(EMB_FILES.binPath, { force: true });
+    console.log(`✅ Embeddings gravados em ${EMB_FILES.jsonPath}`);
+    return;
+  }
+
+  console.log(`📥 Lendo ${EMB_FILES.jsonPath}...`);
+  const t0 = Date.now();
+  const file = readEmbeddingFile(JSON.parse(await fs.readFile(EMB_FILES.jsonPath, "utf8")));
+  const jsonMs = Date.now() - t0;
+  if (!file.header) console.warn("⚠️ Arquivo sem cabeçalho: o modelo não será verificado ao carregar (rode npm run migrate:embeddings).");
+
+  await writeStoredEmbeddings(file, EMB_FILES, { format: "binary" });
+
+  const t1 = Date.now();
+  const check = await readStoredEmbeddings(EMB_FILES);
+  const binMs = Date.now() - t1;
+  const mismatch = file.embeddings.findIndex((e, i) => {
+    const v = check.embeddings[i];
+    return v.pagina !== e.pagina || e.embedding.some((x, j) => Math.abs(x - v.embedding[j]) > 1e-6);
+  });
+  if (mismatch !== -1) throw new Error(`Conversão divergente na página ${file.embeddings[mismatch].pagina}`);
+
+  const [jsonStat, binStat] = await Promise.all([fs.stat(EMB_FILES.jsonPath), fs.stat(EMB_FILES.binPath)]);
+  console.log(`📐 ${check.embeddings.length} páginas, dimensão ${check.header?.dimension ?? check.embeddings[0]?.embedding.length}`);
+  console.log(`💾 JSON ${(jsonStat.size / 1e6).toFixed(1)} MB (${jsonMs} ms para ler) → binário ${(binStat.size / 1e6).toFixed(1)} MB (${binMs} ms)`);
+
+  if (opts.removeJson) await fs.rm(EMB_FILES.jsonPath, { force: true });
+  console.log(`✅ Embeddings binários gravados em ${EMB_FILES.binPath}`);
+}
+
+main().catch(err => {
+  console.error("❌ Erro:", err);
+  process.exit(1);
+});
@@ -0,0 +1,39 @@
+/**
+ * scripts/embed-dictionary.js
+ * Gera o embedding dos itens do dicionário que ainda não têm, ou cujo texto/modelo mudou
+ * (itens criados antes das recomendações por embedding, ou salvos com o provider fora do ar).
+ * O backend é o configurado em DICT_BACKEND.
+ *
+ * Uso:
+ *   node scripts/embed-dictionary.js [--all] [--batch 32]
+ */
+
+import { getDictionaryRepository } from "../lib/dictionary/index.js";
+
+function parseArgs(argv) {
+  const args = { all: false, batch: 32 };
+  for (let i = 0; i < argv.length; i++) {
+    const key = argv[i].replace(/^--/, "");
+    if (!(key in args)) continue;
+    if (typeof args[key] === "boolean") args[key] = true;
+    else if (argv[i + 1] !== undefined) args[key] = argv[++i];
+  }
+  return { all: args.all, batch: Number(args.batch) || 32 };
+}
+
+async function main() {
+  const opts = parseArgs(process.argv.slice(2));
+  const repo = getDictionaryRepository();
+  console.log(`📚 Dicionário (${repo.backend}): gerando embeddings${opts.all ? " de todos os itens" : " pendentes"}...`);
+  const { updated, total } = await repo.refreshEmbeddings({
+    force: opts.all,
+    batch: opts.batch,
+    onProgress: (done, n) => console.log(`🧠 Embeddings ${done}/${n}`)
+  });
+  console.log(`✅ ${updated} de ${total} itens atualizados.`);
+}
+
+main().catch(err => {
+  console.error("❌ Erro:", err);
+  process.exit(1);
+});
@@ -0,0 +1,176 @@
+/**
+ * scripts/ingest-book.js
+ * Gera data/abramede_texto.json e data/abramede_embeddings.json a partir do texto
+ * extraído do livro, com limpeza básica, embeddings em lotes e validação final.
+ * O texto passa pela normalização (lib/normalize.js, configurável em data/normalizacao.json):
+ * o texto limpo vai para data/abramede_texto_limpo.json (com relatório por página) e é ele
+ * que recebe os embeddings. --no-normalize grava e usa apenas o texto bruto.
+ *
+ * Cada lote concluído é anexado a um checkpoint (data/.ingest/embeddings.checkpoint.jsonl);
+ * se a execução for interrompida, rodar o mesmo comando retoma do ponto em que parou.
+ * Páginas cujo texto mudou desde o checkpoint são reprocessadas.
+ *
+ * Uso:
+ *   node scripts/ingest-book.js --input <arquivo.json | arquivo.txt | diretório> [--batch 64] [--allow-gaps] [--restart] [--no-normalize]
+ *   node scripts/ingest-book.js --validate-only [--allow-gaps]
+ *
+ * Entrada: JSON [{ pagina, texto }] ou [texto, ...]; .txt com páginas separadas por \f (pdftotext);
+ * ou diretório com um .txt por página (número da página no nome do arquivo).
+ * Os embeddings são gravados com cabeçalho (modelo, dimensão, data, hash do texto de cada página);
+ * o modelo registrado (no cabeçalho e no checkpoint) é o que o provider informa na resposta.
+ */
+
+import fs from "fs/promises";
+import path from "path";
+import {
+  BOOK_PATH, CLEAN_BOOK_PATH, NORMALIZE_REPORT_PATH, NORMALIZE_CONFIG_PATH, EMB_FILES, DATA_DIR, loadBookPages
+} from "../lib/corpus.js";
+import { readPageSource, cleanPageText, textHash, validatePages, validateBookData, writeJsonAtomic } from "../lib/ingest.js";
+import { buildEmbeddingFile, readStoredEmbeddings, writeStoredEmbeddings, diffEmbeddings } from "../lib/embeddingStore.js";
+import { loadNormalizeConfig, normalizePages } from "../lib/normalize.js";
+import { embeddingModelId, embedTexts } from "../lib/providers/index.js";
+
+const CHECKPOINT_PATH = path.join(DATA_DIR, ".ingest", "embeddings.checkpoint.jsonl");
+
+function parseArgs(argv) {
+  const args = { input: null, batch: 64, "allow-gaps": false, restart: false, "validate-only": false, "no-normalize": false };
+  for (let i = 0; i < argv.length; i++) {
+    const key = argv[i].replace(/^--/, "");
+    if (!(key in args)) continue;
+    if (typeof args[key] === "boolean") args[key] = true;
+    else if (argv[i + 1] !== undefined) args[key] = argv[++i];
+  }
+  return {
+    input: args.input,
+    batch: Number(args.batch) || 64,
+    allowGaps: args["allow-gaps"],
+    restart: args.restart,
+    validateOnly: args["validate-only"],
+    normalize: !args["no-normalize"]
+  };
+}
+
+// Linhas { pagina, hash, model, embedding }; uma linha final truncada (interrupção) é ignorada
+async function readCheckpoint() {
+  let raw;
+  try {
+    raw = await fs.readFile(CHECKPOINT_PATH, "utf8");
+  } catch (e) {
+    if (e?.code === "ENOENT") return [];
+    throw e;
+  }
+  const entries = [];
+  for (const line of raw.split("\n")) {
+    if (!line.trim()) continue;
+    try {
+      entries.push(JSON.parse(line));
+    } catch {
+      // linha incompleta
+    }
+  }
+  return entries;
+}
+
+function report(result) {
+  const { stats, warnings, errors } = result;
+  console.log(`📊 ${stats.pages} páginas (${stats.first_page}–${stats.last_page}), ${stats.embeddings} embeddings, dimensão ${stats.dimension ?? "?"}, modelo ${stats.model ?? "?"}`);
+  for (const w of warnings) console.warn(`⚠️ ${w}`);
+  for (const e of errors) console.error(`❌ ${e}`);
+}
+
+async function validateOnly(opts) {
+  const { pages } = await loadBookPages();
+  const { header, embeddings } = await readStoredEmbeddings(EMB_FILES);
+  const model = embeddingModelId();
+  const result = validateBookData(pages, embeddings, { meta: header, model, allowGaps: opts.allowGaps });
+  if (header) {
+    const { changed } = diffEmbeddings({ header, embeddings }, pages, { model });
+    if (changed.length) result.warnings.push(`${changed.length} página(s) com texto alterado desde o embedding (rode npm run migrate:embeddings)`);
+  }
+  report(result);
+  if (!result.ok) process.exit(1);
+  console.log("✅ Livro e embeddings válidos.");
+}
+
+async function ingest(opts) {
+  console.log(`📘 Lendo páginas de ${opts.input}...`);
+  const rawPages = (await readPageSource(opts.input)).map(p => ({ pagina: p.pagina, texto: cleanPageText(p.texto) }));
+  console.log(`🧼 ${rawPages.length} páginas lidas e limpas.`);
+
+  // Valida a numeração antes de gastar com embeddings
+  const pre = validatePages(rawPages, { allowGaps: opts.allowGaps });
+  if (pre.errors.length) {
+    for (const e of pre.errors) console.error(`❌ ${e}`);
+    process.exit(1);
+  }
+
+  let pages = rawPages;
+  let normalization = null;
+  if (opts.normalize) {
+    normalization = normalizePages(rawPages, await loadNormalizeConfig(NORMALIZE_CONFIG_PATH));
+    pages = normalization.pages;
+    const { pages_changed, changes_by_step } = normalization.report;
+    console.log(`🧽 Normalização: ${pages_changed} páginas alteradas ${JSON.stringify(changes_by_step)}`);
+  }
+
+  if (opts.restart) await fs.rm(CHECKPOINT_PATH, { force: true });
+  await fs.mkdir(path.dirname(CHECKPOINT_PATH), { recursive: true });
+
+  const model = embeddingModelId();
+  const hashes = new Map(pages.map(p => [p.pagina, textHash(p.texto)]));
+  const done = new Map();
+  for (const e of await readCheckpoint()) {
+    if (e.model === model && hashes.get(e.pagina) === e.hash) done.set(e.pagina, e.embedding);
+  }
+  const pending = pages.filter(p => p.texto && !done.has(p.pagina));
+  if (done.size) console.log(`♻️ Retomando: ${done.size} páginas já no checkpoint, ${pending.length} pendentes.`);
+
+  for (let i = 0; i < pending.length; i += opts.batch) {
+    const batch = pending.slice(i, i + opts.batch);
+    const resp = await embedTexts(batch.map(p => p.texto));
+    const lines = batch.map((p, j) => {
+      const embedding = resp.embeddings[j];
+      done.set(p.pagina, embedding);
+      return JSON.stringify({ pagina: p.pagina, hash: hashes.get(p.pagina), model: resp.model, embedding });
+    });
+    await fs.appendFile(CHECKPOINT_PATH, lines.join("\n") + "\n", "utf8");
+    console.log(`🧠 Embeddings ${Math.min(i + opts.batch, pending.length)}/${pending.length}`);
+  }
+
+  const embeddings = pages.filter(p => done.has(p.pagina)).map(p => ({ pagina: p.pagina, embedding: done.get(p.pagina) }));
+  const embFile = buildEmbeddingFile(embeddings, { model, hashes });
+  const result = validateBookData(pages, embeddings, { meta: embFile.header, model, allowGaps: opts.allowGaps });
+  report(result);
+  if (!result.ok) {
+    console.error("❌ Validação falhou; arquivos do livro não foram alterados (checkpoint mantido).");
+    process.exit(1);
+  }
+
+  const format = await writeStoredEmbeddings(embFile, EMB_FILES);
+  await writeJsonAtomic(BOOK_PATH, rawPages);
+  if (normalization) {
+    await writeJsonAtomic(CLEAN_BOOK_PATH, pages);
+    await writeJsonAtomic(NORMALIZE_REPORT_PATH, normalization.report, true);
+  } else {
+    await fs.rm(CLEAN_BOOK_PATH, { force: true });
+  }
+  await fs.rm(CHECKPOINT_PATH, { force: true });
+  console.log(`✅ Livro gravado em ${BOOK_PATH}${normalization ? ` (normalizado em ${CLEAN_BOOK_PATH})` : ""}`);
+  console.log(`✅ Embeddings gravados (${format === "binary" ? EMB_FILES.binPath : EMB_FILES.jsonPath})`);
+}
+
+async function main() {
+  const opts = parseArgs(process.argv.slice(2));
+  if (opts.validateOnly) return validateOnly(opts);
+  if (!opts.input) {
+    console.error("Uso: node scripts/ingest-book.js --input <arquivo.json | arquivo.txt | diretório> [--batch 64] [--allow-gaps] [--restart] [--no-normalize]");
+    process.exit(1);
+  }
+  return ingest(opts);
+}
+
+main().catch(err => {
+  console.error("❌ Erro:", err);
+  console.error("   Rode o mesmo comando novamente para retomar a partir do checkpoint.");
+  process.exit(1);
+});
@@ -0,0 +1,62 @@
+/**
+ * scripts/migrate-dictionary.js
+ * Copia os itens do dicionário de um backend para outro (json, sqlite, supabase),
+ * mantendo ids, datas, embeddings, lixeira e revisões. Itens já existentes no destino (mesmo id)
+ * são atualizados e têm as revisões substituídas pelas da origem.
+ * A auditoria não é copiada (fica no backend em que as escritas aconteceram).
+ *
+ * Uso:
+ *   node scripts/migrate-dictionary.js --from supabase --to json [--dry-run]
+ */
+
+import { DICT_BACKENDS as backends } from "../lib/dictionary/index.js";
+import { normalizeRow } from "../lib/dictionary/entry.js";
+
+function parseArgs(argv) {
+  const args = { from: null, to: null, "dry-run": false };
+  for (let i = 0; i < argv.length; i++) {
+    const key = argv[i].replace(/^--/, "");
+    if (!(key in args)) continue;
+    if (typeof args[key] === "boolean") args[key] = true;
+    else if (argv[i + 1] !== undefined) args[key] = argv[++i];
+  }
+  return { from: args.from, to: args.to, dryRun: args["dry-run"] };
+}
+
+async function main() {
+  const opts = parseArgs(process.argv.slice(2));
+  if (!backends[opts.from] || !backends[opts.to] || opts.from === opts.to) {
+    console.error(`Uso: node scripts/migrate-dictionary.js --from <${Object.keys(backends).join("|")}> --to <...> [--dry-run]`);
+    process.exit(1);
+  }
+  const source = backends[opts.from]();
+  const target = backends[opts.to]();
+
+  const rows = (await source.listRows()).map(normalizeRow);
+  console.log(`📚 ${rows.length} itens em ${opts.from}.`);
+  if (opts.dryRun) return;
+
+  let created = 0;
+  let updated = 0;
+  let revisions = 0;
+  for (const row of rows) {
+    if (await target.getRow(row.id)) {
+      await target.updateRow(row.id, row);
+      updated++;
+    } else {
+      await target.insertRow(row);
+      created++;
+    }
+    await target.deleteRevisions(row.id);
+    for (const rev of await source.listRevisions(row.id)) {
+      await target.appendRevision(rev);
+      revisions++;
+    }
+  }
+  console.log(`✅ ${opts.to}: ${created} criados, ${updated} atualizados, ${revisions} revisões.`);
+}
+
+main().catch(err => {
+  console.error("❌ Erro:", err);
+  process.exit(1);
+});
@@ -0,0 +1,89 @@
+/**
+ * scripts/migrate-embeddings.js
+ * Atualiza os embeddings das páginas (JSON ou binário, o que estiver em uso) para o
+ * modelo atual (o que o provider informa: EMB_MODEL na OpenAI, stub-hash-<dim> no stub) e para o
+ * texto atual do livro, regerando só o necessário:
+ *   - todas as páginas, se o arquivo foi gerado com outro modelo;
+ *   - senão, apenas páginas com texto alterado (hash diferente) ou sem embedding.
+ * Embeddings de páginas removidas são descartados. O resultado é gravado com cabeçalho.
+ *
+ * Arquivos no formato antigo (sem cabeçalho) são convertidos: o modelo vem de
+ * abramede_embeddings.meta.json, se existir, ou de --from-model; sem nenhum dos dois,
+ * o modelo é tratado como desconhecido e tudo é regerado.
+ *
+ * Uso:
+ *   node scripts/migrate-embeddings.js [--dry-run] [--batch 64] [--from-model text-embedding-3-small]
+ */
+
+import fs from "fs/promises";
+import { loadBookPages, EMB_FILES, EMB_META_PATH } from "../lib/corpus.js";
+import { textHash, validateBookData } from "../lib/ingest.js";
+import { buildEmbeddingFile, readStoredEmbeddings, writeStoredEmbeddings, diffEmbeddings } from "../lib/embeddingStore.js";
+import { embeddingModelId, embedTexts } from "../lib/providers/index.js";
+
+function parseArgs(argv) {
+  const args = { "dry-run": false, batch: 64, "from-model": null };
+  for (let i = 0; i < argv.length; i++) {
+    const key = argv[i].replace(/^--/, "");
+    if (!(key in args)) continue;
+    if (typeof args[key] === "boolean") args[key] = true;
+    else if (argv[i + 1] !== undefined) args[key] = argv[++i];
+  }
+  return { dryRun: args["dry-run"], batch: Number(args.batch) || 64, fromModel: args["from-model"] };
+}
+
+async function main() {
+  const opts = parseArgs(process.argv.slice(2));
+  console.log("📘 Lendo livro e embeddings...");
+  const { pages, source } = await loadBookPages();
+  console.log(`📄 ${pages.length} páginas (texto ${source === "clean" ? "normalizado" : "bruto"}).`);
+  const file = await readStoredEmbeddings(EMB_FILES);
+  const legacyMeta = file.header ? null : await fs.readFile(EMB_META_PATH, "utf8").then(JSON.parse).catch(() => null);
+  const fileModel = file.header?.model ?? legacyMeta?.model ?? opts.fromModel ?? null;
+
+  const model = embeddingModelId();
+  const diff = diffEmbeddings(file, pages, { model, fileModel });
+  const withText = pages.filter(p => String(p.texto || "").trim());
+  const toEmbed = diff.outdatedModel
+    ? withText
+    : withText.filter(p => diff.changed.includes(p.pagina) || diff.missing.includes(p.pagina));
+
+  console.log(`📐 Arquivo: ${file.header ? `cabeçalho v${file.header.version}` : "formato antigo"}, modelo ${fileModel ?? "desconhecido"} → ${model}`);
+  if (diff.outdatedModel) console.log(`🔁 Modelo desatualizado: ${toEmbed.length} páginas serão regeradas.`);
+  else console.log(`🔁 ${diff.changed.length} página(s) com texto alterado, ${diff.missing.length} sem embedding, ${diff.removed.length} removida(s).`);
+  if (opts.dryRun) {
+    if (toEmbed.length) console.log(`   Páginas: ${toEmbed.map(p => p.pagina).join(", ")}`);
+    return;
+  }
+  if (!toEmbed.length && !diff.removed.length && file.header) {
+    console.log("✅ Embeddings já estão atualizados.");
+    return;
+  }
+
+  const byPage = new Map(diff.outdatedModel ? [] : file.embeddings.map(e => [e.pagina, e.embedding]));
+  for (let i = 0; i < toEmbed.length; i += opts.batch) {
+    const batch = toEmbed.slice(i, i + opts.batch);
+    const resp = await embedTexts(batch.map(p => p.texto));
+    batch.forEach((p, j) => byPage.set(p.pagina, resp.embeddings[j]));
+    console.log(`🧠 Embeddings ${Math.min(i + opts.batch, toEmbed.length)}/${toEmbed.length}`);
+  }
+
+  const embeddings = withText.filter(p => byPage.has(p.pagina)).map(p => ({ pagina: p.pagina, embedding: byPage.get(p.pagina) }));
+  const hashes = new Map(withText.map(p => [p.pagina, textHash(p.texto)]));
+  const next = buildEmbeddingFile(embeddings, { model, hashes });
+  const result = validateBookData(pages, embeddings, { meta: next.header, model, allowGaps: true });
+  result.warnings.forEach(w => console.warn(`⚠️ ${w}`));
+  if (!result.ok) {
+    result.errors.forEach(e => console.error(`❌ ${e}`));
+    process.exit(1);
+  }
+
+  const format = await writeStoredEmbeddings(next, EMB_FILES);
+  if (legacyMeta) await fs.rm(EMB_META_PATH, { force: true });
+  console.log(`✅ Embeddings gravados em formato ${format} (${embeddings.length} páginas, dimensão ${next.header.dimension})`);
+}
+
+main().catch(err => {
+  console.error("❌ Erro:", err);
+  process.exit(1);
+});
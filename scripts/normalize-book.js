@@ -0,0 +1,66 @@
+/**
+ * scripts/normalize-book.js
+ * Aplica a normalização (lib/normalize.js) ao texto bruto do livro (data/abramede_texto.json)
+ * e grava data/abramede_texto_limpo.json, usado por embeddings, BM25, prompt e citações.
+ * Grava também data/abramede_normalizacao_relatorio.json com o antes/depois de cada página alterada.
+ *
+ * Etapas e parâmetros vêm de data/normalizacao.json (opcional; só o que muda em relação ao padrão).
+ * Depois de normalizar, rode npm run migrate:embeddings (e npm run build:passages, se usar passagens).
+ *
+ * Uso:
+ *   node scripts/normalize-book.js [--steps headersFooters,dehyphenate,...] [--dry-run]
+ */
+
+import fs from "fs/promises";
+import {
+  BOOK_PATH, CLEAN_BOOK_PATH, NORMALIZE_REPORT_PATH, NORMALIZE_CONFIG_PATH, PASSAGES_PATH
+} from "../lib/corpus.js";
+import { loadNormalizeConfig, resolveNormalizeConfig, normalizePages } from "../lib/normalize.js";
+import { writeJsonAtomic } from "../lib/ingest.js";
+
+function parseArgs(argv) {
+  const args = { steps: null, "dry-run": false };
+  for (let i = 0; i < argv.length; i++) {
+    const key = argv[i].replace(/^--/, "");
+    if (!(key in args)) continue;
+    if (typeof args[key] === "boolean") args[key] = true;
+    else if (argv[i + 1] !== undefined) args[key] = argv[++i];
+  }
+  return {
+    steps: args.steps ? args.steps.split(",").map(s => s.trim()).filter(Boolean) : null,
+    dryRun: args["dry-run"]
+  };
+}
+
+async function main() {
+  const opts = parseArgs(process.argv.slice(2));
+  let config = await loadNormalizeConfig(NORMALIZE_CONFIG_PATH);
+  if (opts.steps) config = resolveNormalizeConfig({ ...config, steps: opts.steps });
+
+  console.log(`📘 Lendo texto bruto de ${BOOK_PATH}...`);
+  const raw = JSON.parse(await fs.readFile(BOOK_PATH, "utf8"));
+  console.log(`🧽 Etapas: ${config.steps.join(", ")}`);
+  const { pages, report } = normalizePages(raw, config);
+
+  const charsBefore = report.pages.reduce((s, p) => s + p.chars_before, 0);
+  const charsAfter = report.pages.reduce((s, p) => s + p.chars_after, 0);
+  console.log(`📊 ${report.pages_changed}/${report.pages_total} páginas alteradas (${charsBefore - charsAfter} caracteres removidos)`);
+  for (const [step, n] of Object.entries(report.changes_by_step)) console.log(`   ${step}: ${n}`);
+  if (report.repeated_headers.length) {
+    console.log(`   Cabeçalhos/rodapés repetidos: ${report.repeated_headers.slice(0, 5).map(h => JSON.stringify(h)).join(", ")}${report.repeated_headers.length > 5 ? " ..." : ""}`);
+  }
+  if (opts.dryRun) return;
+
+  await writeJsonAtomic(CLEAN_BOOK_PATH, pages);
+  await writeJsonAtomic(NORMALIZE_REPORT_PATH, report, true);
+  console.log(`✅ Texto normalizado gravado em ${CLEAN_BOOK_PATH}`);
+  console.log(`✅ Relatório gravado em ${NORMALIZE_REPORT_PATH}`);
+
+  const hasPassages = await fs.access(PASSAGES_PATH).then(() => true, () => false);
+  console.log(`👉 Rode npm run migrate:embeddings${hasPassages ? " e npm run build:passages" : ""} para atualizar os embeddings.`);
+}
+
+main().catch(err => {
+  console.error("❌ Erro:", err);
+  process.exit(1);
+});
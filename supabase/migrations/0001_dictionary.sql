@@ -0,0 +1,14 @@
+-- Tabela do dicionário (lib/dictionary/supabase.js). Idempotente: bancos criados antes do
+-- repositório do dicionário já têm a tabela e só ganham o que faltar.
+create table if not exists dictionary (
+  id text primary key,
+  titulo text not null,
+  autor text,
+  tipo_conteudo text,
+  pago boolean not null default false,
+  link text,
+  tags text[] not null default '{}',
+  imagem_url text,
+  created_at timestamptz default now(),
+  updated_at timestamptz default now()
+);
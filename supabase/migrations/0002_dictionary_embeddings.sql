@@ -0,0 +1,6 @@
+-- Descrição e embedding de cada item (lib/dictionary/embeddings.js): o vetor fica em jsonb,
+-- com o modelo informado pelo provider e o hash do texto embutido (para detectar itens desatualizados).
+alter table dictionary add column if not exists descricao text;
+alter table dictionary add column if not exists embedding jsonb;
+alter table dictionary add column if not exists embedding_model text;
+alter table dictionary add column if not exists embedding_hash text;
@@ -0,0 +1,16 @@
+-- Trilha de auditoria das escritas do admin (lib/dictionary/audit.js): entity "dictionary" ou "thesaurus".
+-- actor_email é o email do usuário da sessão em minúsculas (filtro de GET /api/audit?actor=).
+create table if not exists audit_log (
+  id text primary key,
+  at timestamptz not null,
+  actor_email text,
+  actor jsonb,
+  action text not null,
+  entity text not null,
+  entity_id text,
+  before jsonb,
+  after jsonb,
+  meta jsonb
+);
+create index if not exists audit_log_entity on audit_log (entity, entity_id, at desc);
+create index if not exists audit_log_actor on audit_log (actor_email, at desc);
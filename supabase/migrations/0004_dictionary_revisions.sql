@@ -0,0 +1,17 @@
+-- Revisões e lixeira (lib/dictionary/revisions.js): cada criação, alteração e restauração grava o
+-- item inteiro em dictionary_revisions; exclusão é lógica (deleted_at) e só o purge apaga a linha.
+alter table dictionary add column if not exists revision integer not null default 0;
+alter table dictionary add column if not exists deleted_at timestamptz;
+alter table dictionary add column if not exists deleted_by text;
+
+create table if not exists dictionary_revisions (
+  id text primary key,
+  item_id text not null,
+  revision integer not null,
+  at timestamptz not null,
+  actor jsonb,
+  action text not null,
+  meta jsonb,
+  data jsonb not null,
+  unique (item_id, revision)
+);
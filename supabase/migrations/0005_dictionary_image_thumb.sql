@@ -0,0 +1,2 @@
+-- Miniatura gerada no upload da imagem do item (lib/dictionary/images/).
+alter table dictionary add column if not exists imagem_thumb_url text;
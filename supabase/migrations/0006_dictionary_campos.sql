@@ -0,0 +1,2 @@
+-- Campos próprios do tipo de conteúdo (lib/dictionary/contentTypes.js), validados pela API.
+alter table dictionary add column if not exists campos jsonb not null default '{}';
@@ -0,0 +1,5 @@
+-- Janela de exibição, prioridade e campanha dos itens (lib/dictionary/schedule.js).
+alter table dictionary add column if not exists active_from timestamptz;
+alter table dictionary add column if not exists active_until timestamptz;
+alter table dictionary add column if not exists priority real;
+alter table dictionary add column if not exists campaign text;
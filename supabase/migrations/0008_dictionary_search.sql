@@ -0,0 +1,14 @@
+-- Busca da listagem no banco (lib/dictionary/supabase.js searchRows): search_text guarda título,
+-- autor e tags sem acento e em minúsculas (tags entre "|"), gravado pelo servidor a cada escrita.
+-- O update preenche as linhas que já existiam; o índice trigram atende os filtros ilike '%...%'.
+create extension if not exists unaccent;
+create extension if not exists pg_trgm;
+
+alter table dictionary add column if not exists search_text text;
+
+update dictionary set search_text =
+  lower(unaccent(concat_ws(' ', nullif(titulo, ''), nullif(autor, '')))) || ' |' ||
+  coalesce((select string_agg(lower(unaccent(t)), '|') from unnest(tags) as t), '') || '|'
+where search_text is null;
+
+create index if not exists dictionary_search_text on dictionary using gin (search_text gin_trgm_ops);
@@ -0,0 +1,26 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { writeStoredEmbeddings, openEmbeddingMatrix, openBinaryEmbeddings, assertCompatible } from "../lib/embeddingStore.js";
+
+const file = {
+	header: { format: "abramede-embeddings", version: 1, model: "m1", dimension: 2, pages: 2, text_hashes: {} },
+	embeddings: [{ pagina: 7, embedding: [3, 4] }, { pagina: 9, embedding: [0, -2] }]
+};
+
+test("matriz binária aberta lê as linhas gravadas sob demanda", async () => {
+	const dir = await fs.mkdtemp(path.join(os.tmpdir(), "emb-"));
+	const paths = { jsonPath: path.join(dir, "e.json"), binPath: path.join(dir, "e.f32"), indexPath: path.join(dir, "e.index.json") };
+	await writeStoredEmbeddings(file, paths, { format: "binary" });
+	const index = JSON.parse(await fs.readFile(paths.indexPath, "utf8"));
+	const emb = openBinaryEmbeddings(openEmbeddingMatrix(paths.binPath), index);
+
+	assert.deepEqual(Array.from(emb.embByPage.get(7)), [3, 4]);
+	assert.deepEqual(Array.from(emb.embeddings[1].embedding), [0, -2]);
+	assert.equal(emb.embByPage.get(8), undefined);
+	assert.deepEqual(Array.from(emb.readMatrix()), [3, 4, 0, -2]);
+	assertCompatible(emb, { model: "m1" });
+	assert.throws(() => assertCompatible({ ...emb, dimension: 3 }, { model: "m1" }), /dimensão 3/);
+});
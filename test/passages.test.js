@@ -0,0 +1,34 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { splitIntoPassages, buildPassagesFile, checkPassagesFile } from "../lib/passages.js";
+
+const pages = [
+	{ pagina: 1, texto: "A parada cardiorrespiratória exige compressões torácicas de alta qualidade." },
+	{ pagina: 2, texto: "A desfibrilação precoce aumenta a sobrevida." }
+];
+
+function buildFile(model = "m1", dim = 3) {
+	const passages = splitIntoPassages(pages, { size: 60, overlap: 10 })
+		.map(p => ({ ...p, embedding: Array(dim).fill(0.5) }));
+	return buildPassagesFile(passages, { model, pages, size: 60, overlap: 10 });
+}
+
+test("arquivo de passagens com cabeçalho confere com o livro", () => {
+	const file = buildFile();
+	assert.equal(file.header.model, "m1");
+	assert.equal(file.header.dimension, 3);
+	const check = checkPassagesFile(JSON.parse(JSON.stringify(file)), { model: "m1", dimension: 3, pages });
+	assert.equal(check.ok, true);
+	assert.equal(check.value.length, file.passages.length);
+});
+
+test("passagens desatualizadas ou incompatíveis são recusadas", () => {
+	const file = buildFile();
+	assert.match(checkPassagesFile(file.passages, { model: "m1", dimension: 3, pages }).error, /sem cabeçalho/);
+	assert.match(checkPassagesFile(file, { model: "m2", dimension: 3, pages }).error, /gerado com m1/);
+	assert.match(checkPassagesFile(file, { model: "m1", dimension: 4, pages }).error, /dimensão 3/);
+	const edited = [pages[0], { pagina: 2, texto: "Texto revisado da página." }];
+	assert.match(checkPassagesFile(file, { model: "m1", dimension: 3, pages: edited }).error, /1 página\(s\) alterada/);
+	const added = [...pages, { pagina: 3, texto: "Página nova." }];
+	assert.match(checkPassagesFile(file, { model: "m1", dimension: 3, pages: added }).error, /1 nova/);
+});
@@ -0,0 +1,37 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseQuotes, verifyQuotes } from "../lib/quotes.js";
+
+const pageMap = new Map([
+	[1, "A parada cardiorrespiratória exige compressões torácicas de alta qualidade."],
+	[2, "A desfibrilação precoce aumenta a sobrevida."]
+]);
+
+test("citação com pontuação depois das aspas é conferida", () => {
+	const { answer, quotes } = verifyQuotes('- Página 1: "inventado totalmente aqui".', { pageMap, contextPages: [1, 2] });
+	assert.equal(quotes.length, 1);
+	assert.equal(quotes[0].status, "fabricated");
+	assert.equal(answer, "Nenhum trecho encontrado no livro.");
+
+	const ok = verifyQuotes('- Página 1: "exige compressões torácicas de alta qualidade";', { pageMap, contextPages: [1] });
+	assert.equal(ok.quotes[0].status, "verified");
+});
+
+test("recorte não atravessa linhas", () => {
+	const answer = '- Página 1: "exige compressões\n- Página 2: "A desfibrilação precoce aumenta a sobrevida."';
+	const parsed = parseQuotes(answer);
+	assert.equal(parsed.length, 2);
+	assert.equal(parsed[0].quote, null);
+	assert.equal(parsed[1].quote, "A desfibrilação precoce aumenta a sobrevida.");
+
+	const { quotes } = verifyQuotes(answer, { pageMap, contextPages: [1, 2] });
+	assert.deepEqual(quotes.map(q => q.status), ["unverified", "verified"]);
+});
+
+test("linha de página sem recorte legível é removida ou sinalizada, nunca repassada", () => {
+	const answer = '- Página 2: A desfibrilação precoce aumenta a sobrevida.';
+	assert.equal(verifyQuotes(answer, { pageMap, contextPages: [2] }).answer, "Nenhum trecho encontrado no livro.");
+	const flagged = verifyQuotes(answer, { pageMap, contextPages: [2], policy: "flag" });
+	assert.equal(flagged.quotes[0].status, "unverified");
+	assert.match(flagged.answer, /⚠️ \(trecho não verificado\)$/);
+});
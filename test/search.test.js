@@ -0,0 +1,19 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { searchText, searchDictItems, parseDictQuery } from "../lib/dictionary/search.js";
+
+test("texto de busca normaliza título, autor e tags (tags entre |)", () => {
+	const text = searchText({ titulo: "Choque Séptico", autor: "Dra. Ângela", tags: ["Sepse", "UTI adulto"] });
+	assert.equal(text, "choque septico dra. angela |sepse|uti adulto|");
+	assert.ok(text.includes("|uti adulto|"));
+	assert.ok(!text.includes("|uti|"));
+});
+
+test("busca em memória pagina com total e next_offset", () => {
+	const items = Array.from({ length: 5 }, (_, i) => ({ id: `i${i}`, titulo: `Item ${i}`, tags: ["sepse"], createdAt: `2026-01-0${i + 1}` }));
+	const query = parseDictQuery({ tag: "Sepse", limit: "2", offset: "2" }).value;
+	const page = searchDictItems(items, query);
+	assert.deepEqual(page.items.map(i => i.id), ["i2", "i1"]);
+	assert.equal(page.total, 5);
+	assert.equal(page.next_offset, 4);
+});
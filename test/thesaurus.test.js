@@ -0,0 +1,24 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+
+// THESAURUS_PATH vem do diretório de trabalho no import
+const dir = await fs.mkdtemp(path.join(os.tmpdir(), "thesaurus-"));
+process.chdir(dir);
+const { loadThesaurus, saveThesaurus, expandQuery, THESAURUS_PATH } = await import("../lib/thesaurus.js");
+
+test("tesauro ausente é vazio; gravado é relido", async () => {
+	assert.deepEqual(await loadThesaurus(), []);
+	await saveThesaurus([{ id: "a", termo: "PCR", sinonimos: ["parada cardiorrespiratória"] }]);
+	assert.equal((await loadThesaurus()).length, 1);
+});
+
+test("tesauro ilegível falha na carga e não vira lista vazia", async () => {
+	await fs.writeFile(THESAURUS_PATH, "{ quebrado", "utf8");
+	await assert.rejects(loadThesaurus());
+	const expansion = await expandQuery("conduta na PCR");
+	assert.equal(expansion.query, "conduta na PCR");
+	assert.equal(await fs.readFile(THESAURUS_PATH, "utf8"), "{ quebrado");
+});
@@ -0,0 +1,59 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseCsv } from "../lib/csv.js";
+import { itemsToCsv, recordsFromCsv, planImport } from "../lib/dictionary/transfer.js";
+import { validateEntry } from "../lib/dictionary/entry.js";
+
+const item = {
+	id: "a1",
+	titulo: "=HYPERLINK(\"http://x\")",
+	autor: "+Dr. Silva",
+	tipoConteudo: "Blog Post",
+	descricao: "\tcom tab",
+	pago: false,
+	link: "@link",
+	tags: ["-menos"],
+	campos: {},
+	priority: -1,
+	campaign: "normal"
+};
+
+test("exportação CSV escapa células que começam como fórmula", () => {
+	const [header, row] = parseCsv(itemsToCsv([item]));
+	const cell = (c) => row[header.indexOf(c)];
+	assert.equal(cell("titulo"), "'=HYPERLINK(\"http://x\")");
+	assert.equal(cell("autor"), "'+Dr. Silva");
+	assert.equal(cell("descricao"), "'\tcom tab");
+	assert.equal(cell("link"), "'@link");
+	assert.equal(cell("tags"), "'-menos");
+	assert.equal(cell("priority"), "-1");
+	assert.equal(cell("campaign"), "normal");
+});
+
+test("CSV exportado reimporta sem o prefixo de escape", () => {
+	const { records } = recordsFromCsv(itemsToCsv([item]));
+	assert.equal(records[0].input.titulo, item.titulo);
+	assert.equal(records[0].input.autor, item.autor);
+	assert.equal(records[0].input.link, item.link);
+	assert.equal(records[0].input.tags, "-menos");
+});
+
+test("reimportar uma exportação sem mudanças não gera atualizações", () => {
+	const stored = { id: "b2", ...validateEntry({ titulo: "Sepse", link: "https://x.com/sepse", tags: ["Choque"], tipoConteudo: "Blog Post" }).value };
+	const { records } = recordsFromCsv(itemsToCsv([stored]));
+	const plan = planImport(records, { existing: [stored], categorias: ["Choque"], onDuplicate: "update" });
+	assert.deepEqual(plan.summary, { total: 1, create: 0, update: 0, skip: 1, error: 0 });
+	assert.equal(plan.rows[0].unchanged, true);
+	assert.equal(plan.actions.length, 0);
+
+	const edited = records.map(r => ({ ...r, input: { ...r.input, autor: "Outro" } }));
+	assert.equal(planImport(edited, { existing: [stored], categorias: ["Choque"], onDuplicate: "update" }).summary.update, 1);
+});
+
+test("tags da planilha são separadas só por |", () => {
+	const categorias = ["Choque, sepse e disfunção", "Via aérea"];
+	const { records } = recordsFromCsv("titulo,link,tags\nA,https://x.com/a,\"Choque, sepse e disfunção | via aerea\"\n");
+	const plan = planImport(records, { categorias });
+	assert.deepEqual(plan.actions[0].value.tags, categorias);
+	assert.deepEqual(plan.rows[0].warnings, []);
+});
@@ -0,0 +1,20 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createVectorIndex, createVectorIndexFromMatrix } from "../lib/vectorIndex.js";
+
+const vectors = [[3, 4, 0], [0, 2, 0], [1, 1, 1], [-1, 0, 0]];
+
+test("índice sobre a matriz normaliza no lugar e busca como o índice por entradas", () => {
+	const matrix = Float32Array.from(vectors.flat());
+	const fromMatrix = createVectorIndexFromMatrix(matrix, [10, 20, 30, 40], 3);
+	const fromEntries = createVectorIndex(vectors.map((v, i) => ({ id: (i + 1) * 10, vector: v })));
+	assert.ok(Math.abs(matrix[0] - 0.6) < 1e-6);
+	assert.ok(Math.abs(matrix[1] - 0.8) < 1e-6);
+	const query = [1, 1, 0];
+	assert.deepEqual(fromMatrix.search(query, { k: 4 }).map(h => h.id), fromEntries.search(query, { k: 4 }).map(h => h.id));
+	assert.deepEqual(fromMatrix.search(query, { k: 2, filter: [30, 40] }).map(h => h.id), [30, 40]);
+});
+
+test("matriz com tamanho diferente de ids x dim é recusada", () => {
+	assert.throws(() => createVectorIndexFromMatrix(new Float32Array(5), [1, 2], 3), /esperado 2 x 3/);
+});